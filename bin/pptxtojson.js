@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs'
+import { mkdir, readFile, writeFile } from 'fs/promises'
+import { basename, dirname, extname, join, relative, resolve, sep } from 'path'
+import { parse, writeMediaToDir } from '../dist/node.js'
+
+const HELP = `Usage: pptxtojson <file.pptx...> [options]
+
+Options:
+  -o, --output <path>   Output JSON file, or a directory when several files are given.
+                        Use "-" to write to stdout. Defaults to <file>.json next to each input.
+  --pretty              Pretty-print the JSON (default)
+  --compact             Write compact JSON
+  --assets [dir]        Extract media into a folder (default "assets" next to the JSON)
+                        and reference it by relative path instead of inlining base64
+  --slides <range>      Only convert the given slides, 1-based, e.g. "1-5" or "1,3,7-9"
+  -v, --version         Print the version
+  -h, --help            Print this help
+`
+
+function parseArgs(argv) {
+  const args = {
+    files: [],
+    output: undefined,
+    pretty: true,
+    assets: undefined,
+    slides: undefined,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    switch (arg) {
+      case '-o':
+      case '--output':
+        args.output = argv[++i]
+        if (!args.output) throw Error(`Missing value for ${arg}.`)
+        break
+      case '--pretty':
+        args.pretty = true
+        break
+      case '--compact':
+        args.pretty = false
+        break
+      case '--assets':
+        if (argv[i + 1] && !argv[i + 1].startsWith('-') && extname(argv[i + 1]).toLowerCase() !== '.pptx') args.assets = argv[++i]
+        else args.assets = 'assets'
+        break
+      case '--slides':
+        if (!argv[i + 1]) throw Error(`Missing value for ${arg}.`)
+        args.slides = parseSlideRange(argv[++i])
+        break
+      case '-v':
+      case '--version':
+        args.version = true
+        break
+      case '-h':
+      case '--help':
+        args.help = true
+        break
+      default:
+        if (arg.startsWith('-') && arg !== '-') throw Error(`Unknown option ${arg}.`)
+        args.files.push(arg)
+    }
+  }
+
+  return args
+}
+
+function parseSlideRange(value) {
+  const indexes = []
+
+  for (const part of value.split(',')) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part)
+    if (!match) throw Error(`Invalid slide range "${value}".`)
+
+    const from = parseInt(match[1])
+    const to = match[2] ? parseInt(match[2]) : from
+    if (from < 1 || to < from) throw Error(`Invalid slide range "${value}".`)
+
+    for (let i = from; i <= to; i++) indexes.push(i - 1)
+  }
+
+  return indexes
+}
+
+function getOutputPath(file, args) {
+  const name = basename(file, extname(file)) + '.json'
+
+  if (!args.output) return join(dirname(file), name)
+  if (args.output === '-') return '-'
+  if (args.files.length > 1) return join(args.output, name)
+  return args.output
+}
+
+async function convert(file, args) {
+  const outputPath = getOutputPath(file, args)
+  const options = {
+    media: 'base64',
+    slides: args.slides,
+  }
+
+  if (args.assets) {
+    const baseDir = outputPath === '-' ? process.cwd() : dirname(resolve(outputPath))
+    let assetsDir = resolve(baseDir, args.assets)
+    if (args.files.length > 1) assetsDir = join(assetsDir, basename(file, extname(file)))
+
+    const publicPath = relative(baseDir, assetsDir).split(sep).join('/') + '/'
+    options.media = writeMediaToDir(assetsDir, publicPath)
+  }
+
+  const json = await parse(await readFile(file), options)
+  const content = JSON.stringify(json, null, args.pretty ? 2 : undefined)
+
+  if (outputPath === '-') process.stdout.write(content + '\n')
+  else {
+    await mkdir(dirname(resolve(outputPath)), { recursive: true })
+    await writeFile(outputPath, content)
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (args.version) {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'))
+    process.stdout.write(pkg.version + '\n')
+    return
+  }
+  if (args.help || !args.files.length) {
+    process.stdout.write(HELP)
+    if (!args.help) process.exitCode = 1
+    return
+  }
+  if (args.output === '-' && args.files.length > 1) throw Error('Cannot write several files to stdout.')
+
+  for (const file of args.files) {
+    try {
+      await convert(file, args)
+    }
+    catch (err) {
+      process.stderr.write(`pptxtojson: failed to convert ${file}: ${err.message}\n`)
+      process.exitCode = 1
+    }
+  }
+}
+
+main().catch(err => {
+  process.stderr.write(`pptxtojson: ${err.message}\n`)
+  process.exitCode = 1
+})
@@ -17,52 +17,99 @@ const onwarn = warning => {
 }
 
 // 导出配置
-export default {
-  // 输入文件
-  input: 'src/pptxtojson.js',
-  // 警告处理函数
-  onwarn,
-  // 输出配置
-  output: [
-    {
-      // 输出文件
-      file: 'dist/index.umd.js',
-      // 输出格式
-      format: 'umd',
-      // 输出模块名
-      name: 'pptxtojson',
-      // 是否生成sourcemap
-      sourcemap: true,
-    },
-    {
-      // 输出文件
-      file: 'dist/index.js',
-      // 输出格式
-      format: 'es',
-      // 是否生成sourcemap
-      sourcemap: true,
-    },
-  ],
-  // 插件配置
-  plugins: [
-    // 解析node_modules中的模块
-    nodeResolve({
-      preferBuiltins: false,
-    }),
-    // 转换CommonJS模块为ES模块
-    commonjs(),
-    // 使用ESLint检查代码
-    eslint(),
-    // 使用Babel转换代码
-    babel({
-      babelHelpers: 'runtime',
-      exclude: ['node_modules/**'],
-    }),
-    // 使用Terser压缩代码
-    terser(),
-    // 提供全局变量
-    globals(),
-    // 提供内置模块
-    builtins(),
-  ]
-}
\ No newline at end of file
+export default [
+  {
+    // 输入文件
+    input: 'src/pptxtojson.js',
+    // 警告处理函数
+    onwarn,
+    // 输出配置
+    output: [
+      {
+        // 输出文件
+        file: 'dist/index.umd.js',
+        // 输出格式
+        format: 'umd',
+        // 输出模块名
+        name: 'pptxtojson',
+        // 是否生成sourcemap
+        sourcemap: true,
+      },
+      {
+        // 输出文件
+        file: 'dist/index.js',
+        // 输出格式
+        format: 'es',
+        // 是否生成sourcemap
+        sourcemap: true,
+      },
+    ],
+    // 插件配置
+    plugins: [
+      // 解析node_modules中的模块
+      nodeResolve({
+        preferBuiltins: false,
+      }),
+      // 转换CommonJS模块为ES模块
+      commonjs(),
+      // 使用ESLint检查代码
+      eslint(),
+      // 使用Babel转换代码
+      babel({
+        babelHelpers: 'runtime',
+        exclude: ['node_modules/**'],
+      }),
+      // 使用Terser压缩代码
+      terser(),
+      // 提供全局变量
+      globals(),
+      // 提供内置模块
+      builtins(),
+    ]
+  },
+  {
+    // 输入文件（Node.js入口）
+    input: 'src/node.js',
+    // 警告处理函数
+    onwarn,
+    // Node.js内置模块及jszip不打包（jszip在Node.js中依赖内置的stream等模块）
+    external: ['fs/promises', 'path', 'jszip'],
+    // 输出配置
+    output: [
+      {
+        // 输出文件
+        file: 'dist/node.cjs',
+        // 输出格式
+        format: 'cjs',
+        // 是否生成sourcemap
+        sourcemap: true,
+      },
+      {
+        // 输出文件
+        file: 'dist/node.js',
+        // 输出格式
+        format: 'es',
+        // 是否生成sourcemap
+        sourcemap: true,
+      },
+    ],
+    // 插件配置
+    plugins: [
+      // 解析node_modules中的模块
+      nodeResolve({
+        preferBuiltins: true,
+      }),
+      // 转换CommonJS模块为ES模块
+      commonjs(),
+      // 使用ESLint检查代码
+      eslint(),
+      // 使用Babel转换代码
+      babel({
+        babelHelpers: 'runtime',
+        exclude: ['node_modules/**'],
+      }),
+      // 使用Terser压缩代码
+      terser(),
+    ]
+  },
+]
\ No newline at end of file
@@ -0,0 +1,192 @@
+import { getAlternateContentNode, getTextByPathList, removeUndefinedKeys, toArray } from './utils'
+
+const PRESET_CLASS_TYPES = {
+  entr: 'entrance',
+  emph: 'emphasis',
+  exit: 'exit',
+  path: 'motionPath',
+  verb: 'verb',
+  mediacall: 'media',
+}
+
+const NODE_TYPE_TRIGGERS = {
+  clickEffect: 'onClick',
+  withEffect: 'withPrevious',
+  afterEffect: 'afterPrevious',
+}
+
+const TIME_CONTAINER_KEYS = ['p:par', 'p:seq', 'p:excl']
+
+const BEHAVIOR_KEYS = ['p:set', 'p:anim', 'p:animEffect', 'p:animMotion', 'p:animRot', 'p:animScale', 'p:animClr', 'p:cmd']
+
+function parseTime(value) {
+  if (value === undefined || value === 'indefinite') return 0
+  const time = parseInt(value)
+  return isNaN(time) ? 0 : time
+}
+
+function getCondDelay(cTnNode) {
+  const condNode = toArray(getTextByPathList(cTnNode, ['p:stCondLst', 'p:cond']))[0]
+  return parseTime(getTextByPathList(condNode, ['attrs', 'delay']))
+}
+
+function getTarget(tgtElNode) {
+  const spTgtNode = getTextByPathList(tgtElNode, ['p:spTgt'])
+  if (!spTgtNode) return null
+
+  const target = {
+    elementId: getTextByPathList(spTgtNode, ['attrs', 'spid']),
+  }
+
+  const pRgAttrs = getTextByPathList(spTgtNode, ['p:txEl', 'p:pRg', 'attrs'])
+  if (pRgAttrs) {
+    target.paragraphs = {
+      start: parseInt(pRgAttrs['st']),
+      end: parseInt(pRgAttrs['end']),
+    }
+  }
+  if (spTgtNode['p:bg'] !== undefined) target.background = true
+
+  return target
+}
+
+function getBehaviors(effectCTnNode) {
+  const childTnLstNode = effectCTnNode['p:childTnLst']
+  const behaviors = []
+  if (!childTnLstNode) return behaviors
+
+  for (const key of BEHAVIOR_KEYS) {
+    for (const node of toArray(childTnLstNode[key])) {
+      behaviors.push({ key, node })
+    }
+  }
+  return behaviors
+}
+
+function parseEffect(cTnNode, trigger) {
+  const attrs = cTnNode['attrs'] || {}
+  const behaviors = getBehaviors(cTnNode)
+
+  let target = null
+  let duration = 0
+  let path
+  for (const { key, node } of behaviors) {
+    const cBhvrNode = node['p:cBhvr']
+    if (!target) target = getTarget(getTextByPathList(cBhvrNode, ['p:tgtEl']))
+
+    const behaviorCTnNode = getTextByPathList(cBhvrNode, ['p:cTn'])
+    const behaviorEnd = getCondDelay(behaviorCTnNode) + parseTime(getTextByPathList(behaviorCTnNode, ['attrs', 'dur']))
+    if (behaviorEnd > duration) duration = behaviorEnd
+
+    if (key === 'p:animMotion' && !path) path = getTextByPathList(node, ['attrs', 'path'])
+  }
+  if (attrs['dur'] && attrs['dur'] !== 'indefinite') duration = parseTime(attrs['dur'])
+
+  const effect = {
+    id: attrs['id'],
+    type: PRESET_CLASS_TYPES[attrs['presetClass']] || 'custom',
+    presetId: attrs['presetID'] !== undefined ? parseInt(attrs['presetID']) : undefined,
+    presetSubtype: attrs['presetSubtype'] !== undefined ? parseInt(attrs['presetSubtype']) : undefined,
+    trigger: NODE_TYPE_TRIGGERS[attrs['nodeType']] || trigger,
+    delay: getCondDelay(cTnNode),
+    duration,
+    repeatCount: attrs['repeatCount'] === 'indefinite' ? 'indefinite' : (attrs['repeatCount'] ? parseInt(attrs['repeatCount']) / 1000 : 1),
+    autoReverse: attrs['autoRev'] === '1',
+    groupId: attrs['grpId'],
+    ...target,
+  }
+  if (path) effect.path = path
+
+  return removeUndefinedKeys(effect)
+}
+
+function collectEffects(timeNode, effects, trigger) {
+  const cTnNode = timeNode['p:cTn']
+  if (!cTnNode) return
+
+  const attrs = cTnNode['attrs'] || {}
+  if (attrs['presetClass'] || NODE_TYPE_TRIGGERS[attrs['nodeType']]) {
+    effects.push(parseEffect(cTnNode, trigger))
+    return
+  }
+
+  const childTnLstNode = cTnNode['p:childTnLst']
+  if (!childTnLstNode) return
+  for (const key of TIME_CONTAINER_KEYS) {
+    for (const childNode of toArray(childTnLstNode[key])) {
+      collectEffects(childNode, effects, trigger)
+    }
+  }
+}
+
+function getInteractiveTrigger(cTnNode) {
+  for (const condNode of toArray(getTextByPathList(cTnNode, ['p:stCondLst', 'p:cond']))) {
+    const spid = getTextByPathList(condNode, ['p:tgtEl', 'p:spTgt', 'attrs', 'spid'])
+    if (spid) {
+      return {
+        event: getTextByPathList(condNode, ['attrs', 'evt']) || 'onClick',
+        elementId: spid,
+      }
+    }
+  }
+  return null
+}
+
+function getBuilds(bldLstNode) {
+  const builds = []
+  if (!bldLstNode) return builds
+
+  for (const key in bldLstNode) {
+    if (key === 'attrs') continue
+
+    for (const node of toArray(bldLstNode[key])) {
+      const attrs = node['attrs'] || {}
+      const build = {
+        type: key.split(':').pop(),
+        elementId: attrs['spid'],
+        groupId: attrs['grpId'],
+      }
+      if (attrs['build']) build.build = attrs['build']
+      if (attrs['animBg'] === '1') build.animateBackground = true
+      builds.push(build)
+    }
+  }
+  return builds
+}
+
+export function getAnimations(warpObj) {
+  const timingNode = getAlternateContentNode(getTextByPathList(warpObj['slideContent'], ['p:sld']), 'p:timing')
+  if (!timingNode) return null
+
+  const rootCTnNode = getTextByPathList(timingNode, ['p:tnLst', 'p:par', 'p:cTn'])
+  const mainSequence = []
+  const interactiveSequences = []
+
+  for (const seqNode of toArray(getTextByPathList(rootCTnNode, ['p:childTnLst', 'p:seq']))) {
+    const seqCTnNode = seqNode['p:cTn']
+    const nodeType = getTextByPathList(seqCTnNode, ['attrs', 'nodeType'])
+
+    if (nodeType === 'mainSeq') {
+      collectEffects(seqNode, mainSequence, 'onClick')
+    }
+    else if (nodeType === 'interactiveSeq') {
+      const effects = []
+      for (const parNode of toArray(getTextByPathList(seqCTnNode, ['p:childTnLst', 'p:par']))) {
+        collectEffects(parNode, effects, 'onClick')
+      }
+      interactiveSequences.push({
+        trigger: getInteractiveTrigger(seqCTnNode),
+        effects,
+      })
+    }
+  }
+
+  const builds = getBuilds(timingNode['p:bldLst'])
+  if (!mainSequence.length && !interactiveSequences.length && !builds.length) return null
+
+  return {
+    mainSequence,
+    interactiveSequences,
+    builds,
+  }
+}
@@ -0,0 +1,143 @@
+import { readXmlFile } from './readXmlFile'
+import { getTextBodyPlainText } from './text'
+import { decodeXmlEntities, getTextByPathList, toArray } from './utils'
+import { RATIO_EMUs_Points } from './constants'
+
+// 旧版批注的坐标单位为 1/576 英寸，即 1/8 pt
+const RATIO_LegacyCommentUnits_Points = 1 / 8
+
+export async function getCommentAuthors(zip) {
+  const legacy = {}
+  const modern = {}
+
+  const legacyContent = await readXmlFile(zip, 'ppt/commentAuthors.xml')
+  for (const authorNode of toArray(getTextByPathList(legacyContent, ['p:cmAuthorLst', 'p:cmAuthor']))) {
+    const attrs = authorNode['attrs'] || {}
+    legacy[attrs['id']] = {
+      name: decodeXmlEntities(attrs['name'] || ''),
+      initials: decodeXmlEntities(attrs['initials'] || ''),
+    }
+  }
+
+  const modernContent = await readXmlFile(zip, 'ppt/authors.xml')
+  for (const authorNode of toArray(getTextByPathList(modernContent, ['p188:authorLst', 'p188:author']))) {
+    const attrs = authorNode['attrs'] || {}
+    modern[attrs['id']] = {
+      name: decodeXmlEntities(attrs['name'] || ''),
+      initials: decodeXmlEntities(attrs['initials'] || ''),
+    }
+  }
+
+  return { legacy, modern }
+}
+
+function getAuthor(authors, authorId) {
+  return authors[authorId] || { name: '', initials: '' }
+}
+
+async function getLegacyComments(zip, filename, authors) {
+  const content = await readXmlFile(zip, filename)
+  const cmNodes = toArray(getTextByPathList(content, ['p:cmLst', 'p:cm']))
+
+  const comments = []
+  const commentMap = {}
+  const replyNodes = []
+
+  for (const cmNode of cmNodes) {
+    const attrs = cmNode['attrs'] || {}
+    let text = cmNode['p:text']
+    if (typeof text !== 'string') text = getTextByPathList(text, ['value']) || ''
+    text = decodeXmlEntities(text)
+
+    const comment = {
+      id: attrs['authorId'] + '-' + attrs['idx'],
+      author: getAuthor(authors, attrs['authorId']),
+      createdAt: attrs['dt'] || '',
+      text,
+      left: parseInt(getTextByPathList(cmNode, ['p:pos', 'attrs', 'x']) || 0) * RATIO_LegacyCommentUnits_Points,
+      top: parseInt(getTextByPathList(cmNode, ['p:pos', 'attrs', 'y']) || 0) * RATIO_LegacyCommentUnits_Points,
+      resolved: false,
+      replies: [],
+    }
+    commentMap[comment.id] = comment
+
+    let parentCm
+    for (const extNode of toArray(getTextByPathList(cmNode, ['p:extLst', 'p:ext']))) {
+      parentCm = getTextByPathList(extNode, ['p15:threadingInfo', 'p15:parentCm', 'attrs'])
+      if (parentCm) break
+    }
+    if (parentCm) replyNodes.push({ comment, parentId: parentCm['authorId'] + '-' + parentCm['idx'] })
+    else comments.push(comment)
+  }
+
+  for (const { comment, parentId } of replyNodes) {
+    const parent = commentMap[parentId]
+    if (parent) {
+      parent.replies.push({
+        id: comment.id,
+        author: comment.author,
+        createdAt: comment.createdAt,
+        text: comment.text,
+      })
+    }
+    else comments.push(comment)
+  }
+
+  return comments
+}
+
+async function getModernComments(zip, filename, authors) {
+  const content = await readXmlFile(zip, filename)
+  const cmNodes = toArray(getTextByPathList(content, ['p188:cmLst', 'p188:cm']))
+
+  const comments = []
+  for (const cmNode of cmNodes) {
+    const attrs = cmNode['attrs'] || {}
+
+    const replies = []
+    for (const replyNode of toArray(getTextByPathList(cmNode, ['p188:replyLst', 'p188:reply']))) {
+      const replyAttrs = replyNode['attrs'] || {}
+      replies.push({
+        id: replyAttrs['id'],
+        author: getAuthor(authors, replyAttrs['authorId']),
+        createdAt: replyAttrs['created'] || '',
+        text: getTextBodyPlainText(replyNode['p188:txBody']),
+      })
+    }
+
+    const comment = {
+      id: attrs['id'],
+      author: getAuthor(authors, attrs['authorId']),
+      createdAt: attrs['created'] || '',
+      text: getTextBodyPlainText(cmNode['p188:txBody']),
+      left: parseInt(getTextByPathList(cmNode, ['p188:pos', 'attrs', 'x']) || 0) * RATIO_EMUs_Points,
+      top: parseInt(getTextByPathList(cmNode, ['p188:pos', 'attrs', 'y']) || 0) * RATIO_EMUs_Points,
+      resolved: attrs['status'] === 'resolved' || attrs['status'] === 'closed',
+      replies,
+    }
+
+    const elementId = getTextByPathList(cmNode, ['ac:deMkLst', 'ac:spMk', 'attrs', 'id'])
+    if (elementId) comment.elementId = elementId
+
+    comments.push(comment)
+  }
+
+  return comments
+}
+
+export async function getComments(warpObj) {
+  const zip = warpObj['zip']
+  const authors = warpObj['commentAuthors'] || { legacy: {}, modern: {} }
+
+  let comments = []
+  for (const rId in warpObj['slideResObj']) {
+    const { type, target } = warpObj['slideResObj'][rId]
+    if (type === 'comments') {
+      comments = comments.concat(await getLegacyComments(zip, target, authors.legacy))
+    }
+    else if (type === 'http://schemas.microsoft.com/office/2018/10/relationships/comments') {
+      comments = comments.concat(await getModernComments(zip, target, authors.modern))
+    }
+  }
+  return comments
+}
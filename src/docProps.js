@@ -0,0 +1,106 @@
+import { readXmlFile } from './readXmlFile'
+import { decodeXmlEntities, getTextByPathList, removeUndefinedKeys, toArray } from './utils'
+
+function getNodeValue(node) {
+  if (node === undefined || node === null) return undefined
+  if (typeof node === 'string') return decodeXmlEntities(node)
+  if (typeof node['value'] === 'string') return decodeXmlEntities(node['value'])
+  return undefined
+}
+
+function getNumberValue(node) {
+  const value = getNodeValue(node)
+  if (value === undefined || value === '') return undefined
+
+  const num = Number(value)
+  return isNaN(num) ? undefined : num
+}
+
+function getVariantValue(node) {
+  for (const key in node) {
+    if (key === 'attrs' || key.indexOf('vt:') !== 0) continue
+
+    const value = getNodeValue(node[key])
+    switch (key) {
+      case 'vt:i1':
+      case 'vt:i2':
+      case 'vt:i4':
+      case 'vt:i8':
+      case 'vt:int':
+      case 'vt:ui1':
+      case 'vt:ui2':
+      case 'vt:ui4':
+      case 'vt:ui8':
+      case 'vt:uint':
+      case 'vt:r4':
+      case 'vt:r8':
+      case 'vt:decimal':
+        return Number(value)
+      case 'vt:bool':
+        return value === 'true' || value === '1'
+      default:
+        return value === undefined ? '' : value
+    }
+  }
+  return undefined
+}
+
+export async function getCoreProps(zip) {
+  const content = await readXmlFile(zip, 'docProps/core.xml')
+  const props = getTextByPathList(content, ['cp:coreProperties'])
+  if (!props) return {}
+
+  return {
+    title: getNodeValue(props['dc:title']),
+    subject: getNodeValue(props['dc:subject']),
+    creator: getNodeValue(props['dc:creator']),
+    keywords: getNodeValue(props['cp:keywords']),
+    description: getNodeValue(props['dc:description']),
+    category: getNodeValue(props['cp:category']),
+    lastModifiedBy: getNodeValue(props['cp:lastModifiedBy']),
+    revision: getNumberValue(props['cp:revision']),
+    created: getNodeValue(props['dcterms:created']),
+    modified: getNodeValue(props['dcterms:modified']),
+  }
+}
+
+export async function getAppProps(zip) {
+  const content = await readXmlFile(zip, 'docProps/app.xml')
+  const props = getTextByPathList(content, ['Properties'])
+  if (!props) return {}
+
+  return {
+    application: getNodeValue(props['Application']),
+    appVersion: getNodeValue(props['AppVersion']),
+    company: getNodeValue(props['Company']),
+    manager: getNodeValue(props['Manager']),
+    template: getNodeValue(props['Template']),
+    presentationFormat: getNodeValue(props['PresentationFormat']),
+    slides: getNumberValue(props['Slides']),
+    hiddenSlides: getNumberValue(props['HiddenSlides']),
+    notes: getNumberValue(props['Notes']),
+    words: getNumberValue(props['Words']),
+    paragraphs: getNumberValue(props['Paragraphs']),
+    totalTime: getNumberValue(props['TotalTime']),
+  }
+}
+
+export async function getCustomProps(zip) {
+  const content = await readXmlFile(zip, 'docProps/custom.xml')
+  const custom = {}
+  for (const propertyNode of toArray(getTextByPathList(content, ['Properties', 'property']))) {
+    const name = getTextByPathList(propertyNode, ['attrs', 'name'])
+    if (name) custom[decodeXmlEntities(name)] = getVariantValue(propertyNode)
+  }
+  return custom
+}
+
+export async function getMeta(zip) {
+  const meta = {
+    ...await getCoreProps(zip),
+    ...await getAppProps(zip),
+    custom: await getCustomProps(zip),
+  }
+
+  return removeUndefinedKeys(meta)
+}
@@ -11,8 +11,9 @@ import {
   getColorName2Hex,
 } from './color'
 
+import { getMediaSrc } from './media'
+
 import {
-  base64ArrayBuffer,
   getTextByPathList,
   angleToDegrees,
   escapeHtml,
@@ -60,9 +61,8 @@ export async function getPicFill(type, node, warpObj) {
     const imgExt = imgPath.split('.').pop()
     if (imgExt === 'xml') return undefined
 
-    const imgArrayBuffer = await warpObj['zip'].file(imgPath).async('arraybuffer')
     const imgMimeType = getMimeType(imgExt)
-    img = `data:${imgMimeType};base64,${base64ArrayBuffer(imgArrayBuffer)}`
+    img = await getMediaSrc(imgPath, imgMimeType, 'base64', warpObj)
   }
   return img
 }
@@ -2,8 +2,94 @@ import { getTextByPathList } from './utils'
 import { getShadow } from './shadow'
 import { getFillType, getSolidFill } from './fill'
 
-export function getFontType(node, type, warpObj) {
-  let typeface = getTextByPathList(node, ['a:rPr', 'a:latin', 'attrs', 'typeface'])
+const TITLE_TYPES = ['title', 'ctrTitle']
+
+function getParagraphLevel(pNode) {
+  const lvlNode = getTextByPathList(pNode, ['a:pPr', 'attrs', 'lvl'])
+  return lvlNode !== undefined ? parseInt(lvlNode) + 1 : 1
+}
+
+function getLevelPPr(lstStyleNode, lvl) {
+  return getTextByPathList(lstStyleNode, ['a:lvl' + lvl + 'pPr'])
+}
+
+function getLevelDefRPr(lstStyleNode, lvl) {
+  return getTextByPathList(getLevelPPr(lstStyleNode, lvl), ['a:defRPr'])
+}
+
+function getMasterTextStyleNode(spNode, type, warpObj) {
+  const textStyles = warpObj['slideMasterTextStyles']
+  if (!getTextByPathList(spNode, ['p:nvSpPr', 'p:nvPr', 'p:ph'])) return getTextByPathList(textStyles, ['p:otherStyle'])
+  if (TITLE_TYPES.includes(type)) return getTextByPathList(textStyles, ['p:titleStyle'])
+  return getTextByPathList(textStyles, ['p:bodyStyle'])
+}
+
+// 段落中文字的样式继承链（不含文字自身的 a:rPr），按优先级从高到低排列：
+// 段落 defRPr → 形状 lstStyle → 形状样式 fontRef → 版式占位符 → 母版占位符 → 母版 txStyles → 演示文稿 defaultTextStyle
+export function getTextStyleChain(pNode, textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj) {
+  const lvl = getParagraphLevel(pNode)
+
+  const fontRefNode = getTextByPathList(spNode, ['p:style', 'a:fontRef'])
+
+  const chain = [
+    getTextByPathList(pNode, ['a:pPr', 'a:defRPr']),
+    getLevelDefRPr(getTextByPathList(textBodyNode, ['a:lstStyle']), lvl),
+    fontRefNode ? { 'a:solidFill': fontRefNode } : undefined,
+    getLevelDefRPr(getTextByPathList(slideLayoutSpNode, ['p:txBody', 'a:lstStyle']), lvl),
+    getLevelDefRPr(getTextByPathList(slideMasterSpNode, ['p:txBody', 'a:lstStyle']), lvl),
+    getLevelDefRPr(getMasterTextStyleNode(spNode, type, warpObj), lvl),
+    getLevelDefRPr(warpObj['defaultTextStyle'], lvl),
+  ]
+  return chain.filter(item => item)
+}
+
+// 段落属性（对齐、缩进、间距、项目符号）的继承链，按优先级从高到低排列：
+// 段落 pPr → 形状 lstStyle → 版式占位符 → 母版占位符 → 母版 txStyles → 演示文稿 defaultTextStyle
+export function getParagraphStyleChain(pNode, textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj) {
+  const lvl = getParagraphLevel(pNode)
+
+  const chain = [
+    getTextByPathList(pNode, ['a:pPr']),
+    getLevelPPr(getTextByPathList(textBodyNode, ['a:lstStyle']), lvl),
+    getLevelPPr(getTextByPathList(slideLayoutSpNode, ['p:txBody', 'a:lstStyle']), lvl),
+    getLevelPPr(getTextByPathList(slideMasterSpNode, ['p:txBody', 'a:lstStyle']), lvl),
+    getLevelPPr(getMasterTextStyleNode(spNode, type, warpObj), lvl),
+    getLevelPPr(warpObj['defaultTextStyle'], lvl),
+  ]
+  return chain.filter(item => item)
+}
+
+function getInheritedRPrNode(node, styleChain, check) {
+  const rPrNode = getTextByPathList(node, ['a:rPr'])
+  if (rPrNode && check(rPrNode)) return rPrNode
+
+  for (const item of styleChain) {
+    if (check(item)) return item
+  }
+  return undefined
+}
+
+export function getRunAttr(node, styleChain, name) {
+  const rPrNode = getInheritedRPrNode(node, styleChain, item => getTextByPathList(item, ['attrs', name]) !== undefined)
+  return getTextByPathList(rPrNode, ['attrs', name])
+}
+
+export function getRunBoolAttr(node, styleChain, name) {
+  const value = getRunAttr(node, styleChain, name)
+  return value === '1' || value === 'true'
+}
+
+export function resolveThemeTypeface(typeface, warpObj) {
+  if (!typeface || typeface.indexOf('+') !== 0) return typeface
+
+  const fontSchemeNode = getTextByPathList(warpObj['themeContent'], ['a:theme', 'a:themeElements', 'a:fontScheme'])
+  if (typeface.indexOf('+mj') === 0) return getTextByPathList(fontSchemeNode, ['a:majorFont', 'a:latin', 'attrs', 'typeface'])
+  return getTextByPathList(fontSchemeNode, ['a:minorFont', 'a:latin', 'attrs', 'typeface'])
+}
+
+export function getFontType(node, styleChain, type, warpObj) {
+  const rPrNode = getInheritedRPrNode(node, styleChain, item => getTextByPathList(item, ['a:latin', 'attrs', 'typeface']))
+  let typeface = resolveThemeTypeface(getTextByPathList(rPrNode, ['a:latin', 'attrs', 'typeface']), warpObj)
 
   if (!typeface) {
     const fontSchemeNode = getTextByPathList(warpObj['themeContent'], ['a:theme', 'a:themeElements', 'a:fontScheme'])
@@ -11,9 +97,6 @@ export function getFontType(node, type, warpObj) {
     if (type === 'title' || type === 'subTitle' || type === 'ctrTitle') {
       typeface = getTextByPathList(fontSchemeNode, ['a:majorFont', 'a:latin', 'attrs', 'typeface'])
     } 
-    else if (type === 'body') {
-      typeface = getTextByPathList(fontSchemeNode, ['a:minorFont', 'a:latin', 'attrs', 'typeface'])
-    } 
     else {
       typeface = getTextByPathList(fontSchemeNode, ['a:minorFont', 'a:latin', 'attrs', 'typeface'])
     }
@@ -22,91 +105,50 @@ export function getFontType(node, type, warpObj) {
   return typeface || ''
 }
 
-export function getFontColor(node, pNode, lstStyle, pFontStyle, lvl, warpObj) {
-  const rPrNode = getTextByPathList(node, ['a:rPr'])
-  let filTyp, color
-  if (rPrNode) {
-    filTyp = getFillType(rPrNode)
-    if (filTyp === 'SOLID_FILL') {
-      const solidFillNode = rPrNode['a:solidFill']
-      color = getSolidFill(solidFillNode, undefined, undefined, warpObj)
-    }
-  }
-  if (!color && getTextByPathList(lstStyle, ['a:lvl' + lvl + 'pPr', 'a:defRPr'])) {
-    const lstStyledefRPr = getTextByPathList(lstStyle, ['a:lvl' + lvl + 'pPr', 'a:defRPr'])
-    filTyp = getFillType(lstStyledefRPr)
-    if (filTyp === 'SOLID_FILL') {
-      const solidFillNode = lstStyledefRPr['a:solidFill']
-      color = getSolidFill(solidFillNode, undefined, undefined, warpObj)
-    }
-  }
-  if (!color) {
-    const sPstyle = getTextByPathList(pNode, ['p:style', 'a:fontRef'])
-    if (sPstyle) color = getSolidFill(sPstyle, undefined, undefined, warpObj)
-    if (!color && pFontStyle) color = getSolidFill(pFontStyle, undefined, undefined, warpObj)
-  }
-  return color || ''
-}
+export function getFontColor(node, styleChain, warpObj) {
+  const rPrNode = getInheritedRPrNode(node, styleChain, item => getFillType(item) === 'SOLID_FILL')
+  if (!rPrNode) return ''
 
-export function getFontSize(node, slideLayoutSpNode, type, slideMasterTextStyles) {
-  let fontSize
+  return getSolidFill(rPrNode['a:solidFill'], undefined, undefined, warpObj) || ''
+}
 
-  if (getTextByPathList(node, ['a:rPr', 'attrs', 'sz'])) fontSize = getTextByPathList(node, ['a:rPr', 'attrs', 'sz']) / 100
+export function getFontSize(node, styleChain, type) {
+  let fontSize = parseInt(getRunAttr(node, styleChain, 'sz')) / 100
 
-  if ((isNaN(fontSize) || !fontSize)) {
-    const sz = getTextByPathList(slideLayoutSpNode, ['p:txBody', 'a:lstStyle', 'a:lvl1pPr', 'a:defRPr', 'attrs', 'sz'])
-    fontSize = parseInt(sz) / 100
-  }
-
-  if (isNaN(fontSize) || !fontSize) {
-    let sz
-    if (type === 'title' || type === 'subTitle' || type === 'ctrTitle') {
-      sz = getTextByPathList(slideMasterTextStyles, ['p:titleStyle', 'a:lvl1pPr', 'a:defRPr', 'attrs', 'sz'])
-    } 
-    else if (type === 'body') {
-      sz = getTextByPathList(slideMasterTextStyles, ['p:bodyStyle', 'a:lvl1pPr', 'a:defRPr', 'attrs', 'sz'])
-    } 
-    else if (type === 'dt' || type === 'sldNum') {
-      sz = '1200'
-    } 
-    else if (!type) {
-      sz = getTextByPathList(slideMasterTextStyles, ['p:otherStyle', 'a:lvl1pPr', 'a:defRPr', 'attrs', 'sz'])
-    }
-    if (sz) fontSize = parseInt(sz) / 100
-  }
+  if ((isNaN(fontSize) || !fontSize) && (type === 'dt' || type === 'sldNum')) fontSize = 12
 
-  const baseline = getTextByPathList(node, ['a:rPr', 'attrs', 'baseline'])
-  if (baseline && !isNaN(fontSize)) fontSize -= 10
+  const baseline = getRunAttr(node, styleChain, 'baseline')
+  if (baseline && baseline !== '0' && !isNaN(fontSize)) fontSize -= 10
 
   fontSize = (isNaN(fontSize) || !fontSize) ? 18 : fontSize
 
   return fontSize + 'pt'
 }
 
-export function getFontBold(node) {
-  return getTextByPathList(node, ['a:rPr', 'attrs', 'b']) === '1' ? 'bold' : ''
+export function getFontBold(node, styleChain) {
+  return getRunBoolAttr(node, styleChain, 'b') ? 'bold' : ''
 }
 
-export function getFontItalic(node) {
-  return getTextByPathList(node, ['a:rPr', 'attrs', 'i']) === '1' ? 'italic' : ''
+export function getFontItalic(node, styleChain) {
+  return getRunBoolAttr(node, styleChain, 'i') ? 'italic' : ''
 }
 
-export function getFontDecoration(node) {
-  return getTextByPathList(node, ['a:rPr', 'attrs', 'u']) === 'sng' ? 'underline' : ''
+export function getFontDecoration(node, styleChain) {
+  return getRunAttr(node, styleChain, 'u') === 'sng' ? 'underline' : ''
 }
 
-export function getFontDecorationLine(node) {
-  return getTextByPathList(node, ['a:rPr', 'attrs', 'strike']) === 'sngStrike' ? 'line-through' : ''
+export function getFontDecorationLine(node, styleChain) {
+  return getRunAttr(node, styleChain, 'strike') === 'sngStrike' ? 'line-through' : ''
 }
 
-export function getFontSpace(node) {
-  const spc = getTextByPathList(node, ['a:rPr', 'attrs', 'spc'])
+export function getFontSpace(node, styleChain) {
+  const spc = getRunAttr(node, styleChain, 'spc')
   return spc ? (parseInt(spc) / 100 + 'pt') : ''
 }
 
-export function getFontSubscript(node) {
-  const baseline = getTextByPathList(node, ['a:rPr', 'attrs', 'baseline'])
-  if (!baseline) return ''
+export function getFontSubscript(node, styleChain) {
+  const baseline = getRunAttr(node, styleChain, 'baseline')
+  if (!baseline || baseline === '0') return ''
   return parseInt(baseline) > 0 ? 'super' : 'sub'
 }
 
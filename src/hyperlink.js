@@ -0,0 +1,141 @@
+import { decodeXmlEntities, escapeHtml, getTextByPathList, removeUndefinedKeys } from './utils'
+
+const SLIDE_JUMPS = {
+  firstslide: 'first',
+  lastslide: 'last',
+  nextslide: 'next',
+  previousslide: 'previous',
+  lastslideviewed: 'lastViewed',
+  endshow: 'end',
+}
+
+function parseAction(action) {
+  const [name, query = ''] = action.replace('ppaction://', '').split('?')
+  const params = {}
+  for (const pair of query.split('&')) {
+    if (!pair) continue
+    const [key, value = ''] = pair.split('=')
+    params[key] = decodeURIComponent(value)
+  }
+  return { name, params }
+}
+
+function getSlideIndex(target, warpObj) {
+  const partName = target.indexOf('ppt/') === 0 ? target : 'ppt/slides/' + target.split('/').pop()
+  const slideList = warpObj['slideList'] || []
+  const index = slideList.findIndex(item => item.partName === partName)
+  return index === -1 ? undefined : index
+}
+
+const SCRIPT_SCHEMES = ['javascript', 'vbscript', 'data']
+
+function getUriScheme(target) {
+  // 浏览器解析 href 时会忽略开头的空白、控制字符以及其中的换行和制表符，单个字母视为 Windows 盘符而非协议
+  let start = 0
+  while (start < target.length && target.charCodeAt(start) <= 0x20) start++
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(target.slice(start).replace(/[\t\n\r]/g, ''))
+  return match && match[1].length > 1 ? match[1].toLowerCase() : ''
+}
+
+function isScriptTarget(target) {
+  return SCRIPT_SCHEMES.includes(getUriScheme(target))
+}
+
+function getTargetLink(target) {
+  const scheme = getUriScheme(target)
+  if (!scheme || scheme === 'file') return { type: 'file', target }
+  if (scheme === 'mailto') return { type: 'email', target }
+  if (SCRIPT_SCHEMES.includes(scheme)) return { type: 'script', target }
+  return { type: 'url', target }
+}
+
+export function getHyperlink(hlinkNode, warpObj) {
+  if (!hlinkNode) return undefined
+
+  const attrs = hlinkNode['attrs'] || {}
+  const rId = attrs['r:id']
+  const rawTarget = rId ? getTextByPathList(warpObj, ['slideResObj', rId, 'target']) : undefined
+  const target = rawTarget ? decodeXmlEntities(rawTarget) : undefined
+  const action = attrs['action'] || ''
+
+  let link
+  if (!action) {
+    if (!target) return undefined
+    link = getTargetLink(target)
+  }
+  else {
+    const { name, params } = parseAction(action)
+    switch (name) {
+      case 'hlinksldjump':
+        link = { type: 'slide', slideIndex: target ? getSlideIndex(target, warpObj) : undefined }
+        break
+      case 'hlinkshowjump':
+        link = { type: 'slideJump', jump: SLIDE_JUMPS[params['jump']] || params['jump'] }
+        break
+      case 'customshow':
+        link = { type: 'customShow', customShowId: params['id'], return: params['return'] === 'true' }
+        break
+      case 'hlinkfile':
+        link = { type: target && isScriptTarget(target) ? 'script' : 'file', target }
+        break
+      case 'hlinkpres':
+        link = { type: target && isScriptTarget(target) ? 'script' : 'file', target }
+        if (params['slideindex']) link.slideIndex = parseInt(params['slideindex']) - 1
+        break
+      case 'program':
+        link = { type: 'program', target }
+        break
+      case 'macro':
+        link = { type: 'macro', macro: params['name'] }
+        break
+      case 'ole':
+        link = { type: 'ole', verb: params['verb'] }
+        break
+      case 'media':
+        link = { type: 'media' }
+        break
+      case 'noaction':
+        link = { type: 'none' }
+        break
+      default:
+        link = target ? getTargetLink(target) : { type: 'action', action }
+    }
+  }
+
+  if (attrs['tooltip']) link.tooltip = decodeXmlEntities(attrs['tooltip'])
+
+  return removeUndefinedKeys(link)
+}
+
+export function getHyperlinkAttrs(link) {
+  let attrs = ''
+  switch (link.type) {
+    case 'url':
+    case 'email':
+    case 'file':
+      if (link.target && !isScriptTarget(link.target)) attrs += ` href="${escapeHtml(link.target)}"`
+      if (link.type === 'url' && link.target.indexOf('://') !== -1) attrs += ' target="_blank"'
+      break
+    case 'slide':
+      if (link.slideIndex !== undefined) attrs += ` href="#slide-${link.slideIndex}" data-slide-index="${link.slideIndex}"`
+      break
+    case 'slideJump':
+      attrs += ` data-slide-jump="${escapeHtml(link.jump || '')}"`
+      break
+    default:
+      attrs += ` data-link-type="${link.type}"`
+  }
+  if (link.tooltip) attrs += ` title="${escapeHtml(link.tooltip)}"`
+  return attrs
+}
+
+export function getElementLinks(cNvPrNode, warpObj) {
+  const click = getHyperlink(getTextByPathList(cNvPrNode, ['a:hlinkClick']), warpObj)
+  const hover = getHyperlink(getTextByPathList(cNvPrNode, ['a:hlinkHover']), warpObj)
+  if (!click && !hover) return undefined
+
+  const links = {}
+  if (click) links.click = click
+  if (hover) links.hover = hover
+  return links
+}
@@ -0,0 +1,199 @@
+const TITLE_TYPES = ['title', 'ctrTitle']
+
+const BODY_TYPES = ['body', 'obj']
+
+const CONTAINER_TYPES = ['group', 'diagram']
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>|~])/g, '\\$1')
+    .replace(/^(\s*)([#+-])(?=\s)/, '$1\\$2')
+    .replace(/^(\s*\d+)\.(?=\s)/, '$1\\.')
+}
+
+function getLinkHref(link) {
+  if (!link) return ''
+  if (link.type === 'url' || link.type === 'email' || link.type === 'file') return link.target || ''
+  if (link.type === 'slide' && link.slideIndex !== undefined) return `#slide-${link.slideIndex}`
+  return ''
+}
+
+function isSameFormat(a, b) {
+  return a.type !== 'break' && b.type !== 'break' &&
+    !!a.bold === !!b.bold &&
+    !!a.italic === !!b.italic &&
+    !!a.strike === !!b.strike &&
+    getLinkHref(a.link) === getLinkHref(b.link)
+}
+
+function mergeRuns(runs) {
+  const merged = []
+  for (const run of runs) {
+    const last = merged[merged.length - 1]
+    if (last && isSameFormat(last, run)) last.text += run.text
+    else merged.push({ ...run })
+  }
+  return merged
+}
+
+function formatRun(run) {
+  if (run.type === 'break') return '\n'
+
+  const [, leading, core, trailing] = escapeMarkdown(run.text).match(/^(\s*)([\s\S]*?)(\s*)$/)
+  if (!core) return leading + trailing
+
+  let text = core
+  if (run.strike) text = `~~${text}~~`
+  if (run.italic) text = `*${text}*`
+  if (run.bold) text = `**${text}**`
+
+  const href = getLinkHref(run.link)
+  if (href) text = `[${text}](${href.replace(/([()\s])/g, encodeURIComponent)})`
+
+  return leading + text + trailing
+}
+
+function getInlineText(paragraph) {
+  return mergeRuns(paragraph.runs || []).map(formatRun).join('')
+}
+
+function getPlainText(paragraphs) {
+  return paragraphs.map(paragraph => {
+    return (paragraph.runs || []).map(run => run.type === 'break' ? ' ' : run.text).join('')
+  }).join(' ').replace(/\s+/g, ' ').trim()
+}
+
+function isListParagraph(paragraph, isBody) {
+  const bulletType = paragraph.bullet ? paragraph.bullet.type : undefined
+  if (bulletType === 'char' || bulletType === 'autoNumber') return true
+  if (bulletType === 'none') return false
+  return isBody
+}
+
+function genTextBlocks(element) {
+  const isBody = !!element.placeholder && BODY_TYPES.includes(element.placeholder.type)
+  const blocks = []
+  let list = null
+
+  for (const paragraph of element.paragraphs) {
+    const text = getInlineText(paragraph).trim()
+    if (!text) continue
+
+    const lines = text.split('\n').map(line => line.trim())
+
+    if (!isListParagraph(paragraph, isBody)) {
+      list = null
+      blocks.push(lines.join('  \n'))
+      continue
+    }
+
+    if (!list) {
+      list = { lines: [], stack: [] }
+      blocks.push(list)
+    }
+    const level = paragraph.level || 1
+    while (list.stack.length && list.stack[list.stack.length - 1].level >= level) list.stack.pop()
+
+    const indent = list.stack.length ? list.stack[list.stack.length - 1].contentIndent : 0
+    const marker = paragraph.bullet && paragraph.bullet.type === 'autoNumber' ? '1. ' : '- '
+    const contentIndent = indent + marker.length
+    list.stack.push({ level, contentIndent })
+
+    list.lines.push(' '.repeat(indent) + marker + lines.join('  \n' + ' '.repeat(contentIndent)))
+  }
+
+  return blocks.map(block => typeof block === 'string' ? block : block.lines.join('\n'))
+}
+
+function genTableCell(cell) {
+  if (!cell || cell.hMerge || cell.vMerge) return ''
+  if (!cell.paragraphs) return ''
+
+  return cell.paragraphs
+    .map(paragraph => getInlineText(paragraph).trim().replace(/\n/g, '<br>'))
+    .filter(text => text)
+    .join('<br>')
+}
+
+function genTable(element) {
+  const rows = (element.data || []).map(row => row.map(genTableCell))
+  if (!rows.length) return ''
+
+  const columnCount = Math.max(...rows.map(row => row.length))
+  const lines = rows.map(row => {
+    const cells = []
+    for (let i = 0; i < columnCount; i++) cells.push(row[i] || '')
+    return '| ' + cells.join(' | ') + ' |'
+  })
+  lines.splice(1, 0, '|' + ' --- |'.repeat(columnCount))
+
+  return lines.join('\n')
+}
+
+function getImageSrc(element, options) {
+  if (options.imageSrc) return options.imageSrc(element) || ''
+
+  const src = element.src
+  if (typeof src !== 'string' || src.indexOf('data:') === 0 || src.indexOf('blob:') === 0) return ''
+  return src
+}
+
+function genImage(element, options) {
+  const src = getImageSrc(element, options)
+  if (!src) return ''
+  return `![${escapeMarkdown((element.altText || '').replace(/\s+/g, ' ').trim())}](${src.replace(/([()\s])/g, encodeURIComponent)})`
+}
+
+function genElementBlocks(elements, blocks, options) {
+  for (const element of elements) {
+    if (element.hidden || element.origin) continue
+
+    if (CONTAINER_TYPES.includes(element.type)) {
+      genElementBlocks(element.elements || [], blocks, options)
+      continue
+    }
+    if (element.placeholder && TITLE_TYPES.includes(element.placeholder.type)) continue
+
+    if (element.type === 'table') blocks.push(genTable(element))
+    else if (element.type === 'image') blocks.push(genImage(element, options))
+    else if (element.paragraphs) blocks.push(...genTextBlocks(element))
+  }
+}
+
+function getSlideTitle(elements) {
+  for (const element of elements) {
+    if (element.hidden || element.origin) continue
+
+    if (CONTAINER_TYPES.includes(element.type)) {
+      const title = getSlideTitle(element.elements || [])
+      if (title) return title
+    }
+    else if (element.placeholder && TITLE_TYPES.includes(element.placeholder.type) && element.paragraphs) {
+      const title = getPlainText(element.paragraphs)
+      if (title) return title
+    }
+  }
+  return ''
+}
+
+function genNotes(notes) {
+  if (!notes || !notes.text || !notes.text.trim()) return ''
+  return notes.text.trim().split('\n').map(line => line.trim() ? '> ' + escapeMarkdown(line) : '>').join('\n')
+}
+
+export function toMarkdown(result, options = {}) {
+  const blocks = []
+
+  const deckTitle = result.meta && result.meta.title
+  if (deckTitle) blocks.push('# ' + escapeMarkdown(deckTitle))
+
+  result.slides.forEach((slide, index) => {
+    const elements = slide.elements || []
+    const title = getSlideTitle(elements)
+    blocks.push('## ' + (title ? escapeMarkdown(title) : `Slide ${index + 1}`))
+
+    genElementBlocks(elements, blocks, options)
+    blocks.push(genNotes(slide.notes))
+  })
+
+  return blocks.filter(block => block).join('\n\n') + '\n'
+}
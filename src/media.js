@@ -0,0 +1,56 @@
+import { base64ArrayBuffer, getTextByPathList } from './utils'
+
+export function getMediaSrc(path, mimeType, defaultMode, warpObj) {
+  const mediaCache = warpObj['mediaCache']
+  if (!mediaCache) return loadMediaSrc(path, mimeType, defaultMode, warpObj)
+
+  if (!mediaCache[path]) mediaCache[path] = loadMediaSrc(path, mimeType, defaultMode, warpObj)
+  return mediaCache[path]
+}
+
+async function loadMediaSrc(path, mimeType, defaultMode, warpObj) {
+  const file = warpObj['zip'].file(path)
+  if (!file) return undefined
+
+  let mode = getTextByPathList(warpObj, ['options', 'media'])
+  if (!mode) mode = (defaultMode === 'blob' && !canCreateObjectURL()) ? 'uint8array' : defaultMode
+
+  if (typeof mode === 'function') {
+    const bytes = await file.async('uint8array')
+    return await mode({ path, mimeType, bytes })
+  }
+
+  switch (mode) {
+    case 'blob':
+      const blobArrayBuffer = await file.async('arraybuffer')
+      return URL.createObjectURL(new Blob([blobArrayBuffer], mimeType ? { type: mimeType } : undefined))
+    case 'uint8array':
+      return await file.async('uint8array')
+    case 'asset':
+      const assetArrayBuffer = await file.async('arraybuffer')
+      const asset = {
+        mimeType,
+        size: assetArrayBuffer.byteLength,
+      }
+      if (warpObj['assets']) {
+        warpObj['assets'][path] = {
+          ...asset,
+          data: `data:${mimeType};base64,${base64ArrayBuffer(assetArrayBuffer)}`,
+        }
+      }
+      return {
+        assetId: path,
+        ...asset,
+      }
+    case 'base64':
+    default:
+      const arrayBuffer = await file.async('arraybuffer')
+      return `data:${mimeType};base64,${base64ArrayBuffer(arrayBuffer)}`
+  }
+}
+
+// 仅在浏览器（含 Web Worker）中使用 blob URL，Node.js 虽然也有 URL.createObjectURL，但生成的 URL 无法被外部使用且不会被释放
+function canCreateObjectURL() {
+  const isBrowser = typeof window !== 'undefined' || typeof WorkerGlobalScope !== 'undefined'
+  return isBrowser && typeof Blob !== 'undefined' && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+}
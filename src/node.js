@@ -0,0 +1,13 @@
+import { mkdir, writeFile } from 'fs/promises'
+import { basename, join } from 'path'
+
+export * from './pptxtojson'
+
+export function writeMediaToDir(dir, publicPath) {
+  return async ({ path, bytes }) => {
+    const filename = basename(path)
+    await mkdir(dir, { recursive: true })
+    await writeFile(join(dir, filename), bytes)
+    return publicPath === undefined ? join(dir, filename) : publicPath + filename
+  }
+}
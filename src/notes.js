@@ -0,0 +1,61 @@
+import { readXmlFile, readRelsFile } from './readXmlFile'
+import { genTextBody, getTextBodyPlainText } from './text'
+import { getTextByPathList, toArray } from './utils'
+
+function getNotesBodyNode(notesContent) {
+  for (const spNode of toArray(getTextByPathList(notesContent, ['p:notes', 'p:cSld', 'p:spTree', 'p:sp']))) {
+    const type = getTextByPathList(spNode, ['p:nvSpPr', 'p:nvPr', 'p:ph', 'attrs', 'type'])
+    if (type === 'body') return spNode
+  }
+  return null
+}
+
+function getNotesFilename(slideResObj) {
+  for (const rId in slideResObj) {
+    if (slideResObj[rId]['type'] === 'notesSlide') return slideResObj[rId]['target']
+  }
+  return ''
+}
+
+export async function getNotesText(zip, slideResObj) {
+  const notesFilename = getNotesFilename(slideResObj)
+  if (!notesFilename) return ''
+
+  const bodyNode = getNotesBodyNode(await readXmlFile(zip, notesFilename))
+  return getTextBodyPlainText(getTextByPathList(bodyNode, ['p:txBody']))
+}
+
+export async function getNotes(warpObj) {
+  const notesFilename = getNotesFilename(warpObj['slideResObj'])
+  if (!notesFilename) return null
+
+  const zip = warpObj['zip']
+  const notesContent = await readXmlFile(zip, notesFilename)
+  const bodyNode = getNotesBodyNode(notesContent)
+  if (!bodyNode || !bodyNode['p:txBody']) return null
+
+  const text = getTextBodyPlainText(bodyNode['p:txBody'])
+  if (!text.trim()) return null
+
+  const notesResObj = await readRelsFile(zip, notesFilename)
+
+  let notesStyle
+  for (const rId in notesResObj) {
+    if (notesResObj[rId]['type'] === 'notesMaster') {
+      const notesMasterContent = await readXmlFile(zip, notesResObj[rId]['target'])
+      notesStyle = getTextByPathList(notesMasterContent, ['p:notesMaster', 'p:notesStyle'])
+      break
+    }
+  }
+
+  const notesWarpObj = {
+    ...warpObj,
+    slideResObj: notesResObj,
+    slideMasterTextStyles: notesStyle ? { 'p:bodyStyle': notesStyle } : warpObj['slideMasterTextStyles'],
+  }
+
+  return {
+    text,
+    html: genTextBody(bodyNode['p:txBody'], bodyNode, undefined, undefined, 'body', notesWarpObj),
+  }
+}
@@ -0,0 +1,128 @@
+import { readXmlFile, readRelsFile } from './readXmlFile'
+import { getTextBodyPlainText } from './text'
+import { getNotesText } from './notes'
+import { decodeXmlEntities, getOrderedChildNodes, getTextByPathList, toArray } from './utils'
+
+const TITLE_TYPES = ['title', 'ctrTitle']
+
+const DIAGRAM_TEXT_POINT_TYPES = ['node', 'asst']
+
+function getTargetFilename(slideResObj, rId) {
+  const target = getTextByPathList(slideResObj, [rId, 'target'])
+  return target ? target.replace(/^\//, '') : ''
+}
+
+function isHidden(node) {
+  for (const key of ['p:nvSpPr', 'p:nvPicPr', 'p:nvGraphicFramePr', 'p:nvCxnSpPr', 'p:nvGrpSpPr']) {
+    const hidden = getTextByPathList(node, [key, 'p:cNvPr', 'attrs', 'hidden'])
+    if (hidden !== undefined) return hidden === '1' || hidden === 'true'
+  }
+  return false
+}
+
+function getTableText(tblNode) {
+  const rows = []
+  for (const trNode of toArray(tblNode['a:tr'])) {
+    const cells = []
+    for (const tcNode of toArray(trNode['a:tc'])) {
+      const attrs = tcNode['attrs'] || {}
+      if (attrs['hMerge'] === '1' || attrs['vMerge'] === '1') continue
+      cells.push(getTextBodyPlainText(tcNode['a:txBody']))
+    }
+    if (cells.some(cell => cell)) rows.push(cells.join('\t'))
+  }
+  return rows.join('\n')
+}
+
+async function getChartTitleText(zip, chartFilename) {
+  const chartContent = await readXmlFile(zip, chartFilename)
+  const txNode = getTextByPathList(chartContent, ['c:chartSpace', 'c:chart', 'c:title', 'c:tx'])
+  if (!txNode) return ''
+
+  if (txNode['c:rich']) return getTextBodyPlainText(txNode['c:rich'])
+
+  const ptNodes = toArray(getTextByPathList(txNode, ['c:strRef', 'c:strCache', 'c:pt']))
+  return ptNodes.map(ptNode => {
+    const value = getTextByPathList(ptNode, ['c:v'])
+    return typeof value === 'string' ? decodeXmlEntities(value) : ''
+  }).join('')
+}
+
+async function getDiagramText(zip, dataFilename) {
+  const dataContent = await readXmlFile(zip, dataFilename)
+  const ptNodes = toArray(getTextByPathList(dataContent, ['dgm:dataModel', 'dgm:ptLst', 'dgm:pt']))
+
+  const texts = []
+  for (const ptNode of ptNodes) {
+    const type = getTextByPathList(ptNode, ['attrs', 'type']) || 'node'
+    if (!DIAGRAM_TEXT_POINT_TYPES.includes(type)) continue
+
+    const text = getTextBodyPlainText(ptNode['dgm:t'])
+    if (text) texts.push(text)
+  }
+  return texts.join('\n')
+}
+
+async function getGraphicFrameText(node, context) {
+  const graphicDataNode = getTextByPathList(node, ['a:graphic', 'a:graphicData'])
+
+  switch (getTextByPathList(graphicDataNode, ['attrs', 'uri'])) {
+    case 'http://schemas.openxmlformats.org/drawingml/2006/table':
+      return getTableText(graphicDataNode['a:tbl'] || {})
+    case 'http://schemas.openxmlformats.org/drawingml/2006/chart': {
+      const chartFilename = getTargetFilename(context.slideResObj, getTextByPathList(graphicDataNode, ['c:chart', 'attrs', 'r:id']))
+      return chartFilename ? await getChartTitleText(context.zip, chartFilename) : ''
+    }
+    case 'http://schemas.openxmlformats.org/drawingml/2006/diagram': {
+      const dataFilename = getTargetFilename(context.slideResObj, getTextByPathList(graphicDataNode, ['dgm:relIds', 'attrs', 'r:dm']))
+      return dataFilename ? await getDiagramText(context.zip, dataFilename) : ''
+    }
+    default:
+      return ''
+  }
+}
+
+async function collectTexts(spTreeNode, context, texts) {
+  for (const { key, node } of getOrderedChildNodes(spTreeNode)) {
+    if (context.options.hiddenElements === false && isHidden(node)) continue
+
+    switch (key) {
+      case 'p:sp': {
+        const text = getTextBodyPlainText(node['p:txBody'])
+        if (!text.trim()) break
+
+        const phType = getTextByPathList(node, ['p:nvSpPr', 'p:nvPr', 'p:ph', 'attrs', 'type'])
+        if (TITLE_TYPES.includes(phType) && context.title === undefined) context.title = text
+        texts.push(text)
+        break
+      }
+      case 'p:grpSp':
+        await collectTexts(node, context, texts)
+        break
+      case 'mc:AlternateContent':
+        await collectTexts(getTextByPathList(node, ['mc:Fallback']), context, texts)
+        break
+      case 'p:graphicFrame': {
+        const text = await getGraphicFrameText(node, context)
+        if (text.trim()) texts.push(text)
+        break
+      }
+      default:
+    }
+  }
+}
+
+export async function getSlideText(zip, slideFilename, options = {}) {
+  const slideContent = await readXmlFile(zip, slideFilename)
+  const slideResObj = await readRelsFile(zip, slideFilename)
+
+  const context = { zip, slideResObj, options, title: undefined }
+  const texts = []
+  await collectTexts(getTextByPathList(slideContent, ['p:sld', 'p:cSld', 'p:spTree']), context, texts)
+
+  return {
+    title: context.title || '',
+    text: texts.join('\n'),
+    notes: await getNotesText(zip, slideResObj),
+  }
+}
@@ -1,38 +1,176 @@
 import JSZip from 'jszip'
-import { readXmlFile } from './readXmlFile'
+import { readXmlFile, readRelsFile, getRelationship } from './readXmlFile'
 import { getBorder } from './border'
 import { getSlideBackgroundFill, getShapeFill, getSolidFill } from './fill'
 import { getChartInfo } from './chart'
 import { getVerticalAlign } from './align'
 import { getPosition, getSize } from './position'
-import { genTextBody } from './text'
+import { genTextBody, genTextParagraphs } from './text'
 import { getCustomShapePath } from './shape'
-import { extractFileExtension, base64ArrayBuffer, getTextByPathList, angleToDegrees, getMimeType, isVideoLink, escapeHtml } from './utils'
+import { extractFileExtension, getTextByPathList, angleToDegrees, getMimeType, isVideoLink, escapeHtml, decodeXmlEntities, toArray } from './utils'
+import { getMediaSrc } from './media'
+import { getThemeInfo } from './theme'
+import { getMeta } from './docProps'
+import { getNotes } from './notes'
+import { getComments, getCommentAuthors } from './comments'
+import { getTransition } from './transition'
+import { getAnimations } from './animation'
+import { getTextStyle } from './textStyle'
+import { getElementLinks } from './hyperlink'
+import { getSlideText } from './plainText'
 import { getShadow } from './shadow'
 import { getTableBorders, getTableCellParams, getTableRowParams } from './table'
 import { RATIO_EMUs_Points } from './constants'
 
-export async function parse(file) {
+export { toMarkdown } from './markdown'
+
+export async function parse(file, options = {}) {
   const slides = []
-  
-  const zip = await JSZip.loadAsync(file)
+  const masterItems = []
+  const assets = {}
+  let info
 
-  const filesInfo = await getContentTypes(zip)
-  const { width, height, defaultTextStyle } = await getSlideInfo(zip)
-  const themeContent = await loadTheme(zip)
+  for await (const item of parseSlides(file, options)) {
+    if (item.type === 'info') info = item
+    else if (item.type === 'master') masterItems.push(item)
+    else slides.push(item.slide)
 
-  for (const filename of filesInfo.slides) {
-    const singleSlide = await processSingleSlide(zip, filename, themeContent, defaultTextStyle)
-    slides.push(singleSlide)
+    if (item.assets) Object.assign(assets, item.assets)
   }
 
-  return {
+  masterItems.sort((a, b) => a.index - b.index)
+  const themes = []
+  for (const { theme } of masterItems) {
+    if (theme && !themes.find(item => item.partName === theme.partName)) themes.push(theme)
+  }
+
+  const result = {
     slides,
+    size: info.size,
+    theme: info.theme,
+    meta: info.meta,
+    sections: info.sections,
+    layouts: masterItems.flatMap(item => item.layouts),
+    masters: masterItems.map(item => item.master),
+    themes,
+  }
+  if (options.media === 'asset') result.assets = assets
+
+  return result
+}
+
+export async function* parseSlides(file, options = {}) {
+  const zip = await JSZip.loadAsync(file)
+
+  const filesInfo = await getContentTypes(zip)
+  const presentationContent = await readXmlFile(zip, 'ppt/presentation.xml')
+  const { width, height, defaultTextStyle } = getSlideInfo(presentationContent)
+  const themeContent = await loadTheme(zip)
+  const meta = await getMeta(zip)
+  const slideList = await getSlideList(zip, presentationContent, filesInfo)
+  const sections = getSections(presentationContent, slideList)
+  const slideIndexes = getSlideIndexes(options.slides, slideList.length)
+
+  yield {
+    type: 'info',
     size: {
       width,
       height,
     },
+    theme: getThemeInfo(themeContent),
+    meta,
+    sections,
+  }
+
+  const tableStyles = await readXmlFile(zip, 'ppt/tableStyles.xml')
+  let masterList = await getMasterList(zip, presentationContent, filesInfo)
+  if (options.slides) masterList = await getUsedMasterList(zip, masterList, slideIndexes.map(index => slideList[index].partName))
+
+  const context = {
+    zip,
+    themeContent,
+    tableStyles,
+    defaultTextStyle,
+    options,
+    commentAuthors: await getCommentAuthors(zip),
+    slideList,
+    cache: {},
+    mediaCache: {},
+  }
+
+  // 母版及其版式在第一次被幻灯片用到时才解析，未被用到的在所有幻灯片之后输出
+  const processedMasterIndexes = []
+  for (const index of slideIndexes) {
+    const { id, partName } = slideList[index]
+
+    const layoutFilename = await getSlideLayoutFilename(zip, partName)
+    const masterIndex = masterList.findIndex(master => master.layouts.includes(layoutFilename))
+    if (masterIndex !== -1 && !processedMasterIndexes.includes(masterIndex)) {
+      processedMasterIndexes.push(masterIndex)
+      yield await processMasterAndLayouts(masterList, masterIndex, context)
+    }
+
+    const assets = {}
+    const slide = await processSingleSlide(partName, context, assets)
+    const item = {
+      type: 'slide',
+      index,
+      slide: {
+        id,
+        partName,
+        ...slide,
+      },
+    }
+    if (options.media === 'asset') item.assets = assets
+
+    yield item
+  }
+
+  for (let masterIndex = 0; masterIndex < masterList.length; masterIndex++) {
+    if (!processedMasterIndexes.includes(masterIndex)) yield await processMasterAndLayouts(masterList, masterIndex, context)
+  }
+}
+
+export async function extractText(file, options = {}) {
+  const zip = await JSZip.loadAsync(file)
+
+  const filesInfo = await getContentTypes(zip)
+  const presentationContent = await readXmlFile(zip, 'ppt/presentation.xml')
+  const slideList = await getSlideList(zip, presentationContent, filesInfo)
+
+  const slides = []
+  for (const index of getSlideIndexes(options.slides, slideList.length)) {
+    const { id, partName } = slideList[index]
+    slides.push({
+      index,
+      id,
+      partName,
+      ...await getSlideText(zip, partName, options),
+    })
+  }
+
+  return { slides }
+}
+
+function getSlideIndexes(range, count) {
+  const indexes = []
+
+  if (!range) {
+    for (let i = 0; i < count; i++) indexes.push(i)
+  }
+  else if (range.constructor === Array) {
+    for (const i of range) {
+      if (Number.isInteger(i) && i >= 0 && i < count && !indexes.includes(i)) indexes.push(i)
+    }
+    indexes.sort((a, b) => a - b)
+  }
+  else {
+    const from = Math.max(range.from || 0, 0)
+    const to = Math.min(range.to === undefined ? count - 1 : range.to, count - 1)
+    for (let i = from; i <= to; i++) indexes.push(i)
   }
+
+  return indexes
 }
 
 async function getContentTypes(zip) {
@@ -67,8 +205,118 @@ async function getContentTypes(zip) {
   }
 }
 
-async function getSlideInfo(zip) {
-  const content = await readXmlFile(zip, 'ppt/presentation.xml')
+async function getSlideList(zip, content, filesInfo) {
+  const relsContent = await readXmlFile(zip, 'ppt/_rels/presentation.xml.rels')
+
+  const sldIdNodes = getTextByPathList(content, ['p:presentation', 'p:sldIdLst', 'p:sldId'])
+  const relationshipArray = getTextByPathList(relsContent, ['Relationships', 'Relationship'])
+  if (!sldIdNodes || !relationshipArray) return filesInfo.slides.map(partName => ({ id: '', partName }))
+
+  const slideTargets = {}
+  for (const relationshipItem of toArray(relationshipArray)) {
+    if (relationshipItem['attrs']['Type'] === 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide') {
+      const target = relationshipItem['attrs']['Target']
+      slideTargets[relationshipItem['attrs']['Id']] = target.indexOf('/') === 0 ? target.substr(1) : 'ppt/' + target
+    }
+  }
+
+  const slides = []
+  for (const sldIdNode of toArray(sldIdNodes)) {
+    const partName = slideTargets[getTextByPathList(sldIdNode, ['attrs', 'r:id'])]
+    if (partName && zip.file(partName)) {
+      slides.push({
+        id: getTextByPathList(sldIdNode, ['attrs', 'id']),
+        partName,
+      })
+    }
+  }
+  return slides
+}
+
+function getSections(content, slideList) {
+  let sectionNodes
+  for (const extNode of toArray(getTextByPathList(content, ['p:presentation', 'p:extLst', 'p:ext']))) {
+    sectionNodes = getTextByPathList(extNode, ['p14:sectionLst', 'p14:section'])
+    if (sectionNodes) break
+  }
+
+  const sections = []
+  for (const sectionNode of toArray(sectionNodes)) {
+    const slides = []
+    for (const sldIdNode of toArray(getTextByPathList(sectionNode, ['p14:sldIdLst', 'p14:sldId']))) {
+      const index = slideList.findIndex(item => item.id === getTextByPathList(sldIdNode, ['attrs', 'id']))
+      if (index !== -1) slides.push(index)
+    }
+
+    sections.push({
+      id: getTextByPathList(sectionNode, ['attrs', 'id']) || '',
+      name: decodeXmlEntities(getTextByPathList(sectionNode, ['attrs', 'name']) || ''),
+      slides,
+    })
+  }
+  return sections
+}
+
+async function getMasterList(zip, content, filesInfo) {
+  const sldMasterIdNodes = getTextByPathList(content, ['p:presentation', 'p:sldMasterIdLst', 'p:sldMasterId'])
+  const presentationResObj = await readRelsFile(zip, 'ppt/presentation.xml')
+
+  if (!sldMasterIdNodes) {
+    const masters = []
+    for (const layoutFilename of filesInfo.slideLayouts) {
+      const layoutResObj = await readRelsFile(zip, layoutFilename)
+      const masterRel = Object.values(layoutResObj).find(item => item.type === 'slideMaster')
+      if (!masterRel) continue
+
+      let master = masters.find(item => item.partName === masterRel.target)
+      if (!master) {
+        master = { partName: masterRel.target, layouts: [] }
+        masters.push(master)
+      }
+      master.layouts.push(layoutFilename)
+    }
+    return masters
+  }
+
+  const masters = []
+  for (const sldMasterIdNode of toArray(sldMasterIdNodes)) {
+    const target = getTextByPathList(presentationResObj, [getTextByPathList(sldMasterIdNode, ['attrs', 'r:id']), 'target'])
+    if (!target) continue
+
+    const partName = target.indexOf('/') === 0 ? target.substr(1) : 'ppt/' + target
+    if (!zip.file(partName)) continue
+
+    const masterContent = await readXmlFile(zip, partName)
+    const masterResObj = await readRelsFile(zip, partName)
+
+    const layouts = []
+    for (const sldLayoutIdNode of toArray(getTextByPathList(masterContent, ['p:sldMaster', 'p:sldLayoutIdLst', 'p:sldLayoutId']))) {
+      const layoutFilename = getTextByPathList(masterResObj, [getTextByPathList(sldLayoutIdNode, ['attrs', 'r:id']), 'target'])
+      if (layoutFilename && zip.file(layoutFilename)) layouts.push(layoutFilename)
+    }
+    masters.push({ partName, layouts })
+  }
+  return masters
+}
+
+async function getSlideLayoutFilename(zip, slideFilename) {
+  const slideResObj = await readRelsFile(zip, slideFilename)
+  const layoutRel = Object.values(slideResObj).find(item => item.type === 'slideLayout')
+  return layoutRel ? layoutRel.target : ''
+}
+
+async function getUsedMasterList(zip, masterList, slideFilenames) {
+  const usedLayouts = []
+  for (const slideFilename of slideFilenames) {
+    usedLayouts.push(await getSlideLayoutFilename(zip, slideFilename))
+  }
+
+  return masterList
+    .map(master => ({ ...master, layouts: master.layouts.filter(layoutFilename => usedLayouts.includes(layoutFilename)) }))
+    .filter(master => master.layouts.length)
+}
+
+function getSlideInfo(content) {
   const sldSzAttrs = content['p:presentation']['p:sldSz']['attrs']
   const defaultTextStyle = content['p:presentation']['p:defaultTextStyle']
   return {
@@ -99,7 +347,8 @@ async function loadTheme(zip) {
   return await readXmlFile(zip, 'ppt/' + themeURI)
 }
 
-async function processSingleSlide(zip, sldFileName, themeContent, defaultTextStyle) {
+async function processSingleSlide(sldFileName, context, assets) {
+  const { zip } = context
   const resName = sldFileName.replace('slides/slide', 'slides/_rels/slide') + '.rels'
   const resContent = await readXmlFile(zip, resName)
   let relationshipArray = resContent['Relationships']['Relationship']
@@ -115,100 +364,31 @@ async function processSingleSlide(zip, sldFileName, themeContent, defaultTextSty
           break
         case 'http://schemas.microsoft.com/office/2007/relationships/diagramDrawing':
           diagramFilename = relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
-          slideResObj[relationshipArrayItem['attrs']['Id']] = {
-            type: relationshipArrayItem['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-            target: relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
-          }
+          slideResObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
           break
         case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide':
         case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image':
         case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart':
         case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink':
         default:
-          slideResObj[relationshipArrayItem['attrs']['Id']] = {
-            type: relationshipArrayItem['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-            target: relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/'),
-          }
+          slideResObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
       }
     }
   } 
   else layoutFilename = relationshipArray['attrs']['Target'].replace('../', 'ppt/')
 
-  const slideLayoutContent = await readXmlFile(zip, layoutFilename)
-  const slideLayoutTables = await indexNodes(slideLayoutContent)
-
-  const slideLayoutResFilename = layoutFilename.replace('slideLayouts/slideLayout', 'slideLayouts/_rels/slideLayout') + '.rels'
-  const slideLayoutResContent = await readXmlFile(zip, slideLayoutResFilename)
-  relationshipArray = slideLayoutResContent['Relationships']['Relationship']
-
-  let masterFilename = ''
-  const layoutResObj = {}
-  if (relationshipArray.constructor === Array) {
-    for (const relationshipArrayItem of relationshipArray) {
-      switch (relationshipArrayItem['attrs']['Type']) {
-        case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster':
-          masterFilename = relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
-          break
-        default:
-          layoutResObj[relationshipArrayItem['attrs']['Id']] = {
-            type: relationshipArrayItem['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-            target: relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/'),
-          }
-      }
-    }
-  } 
-  else masterFilename = relationshipArray['attrs']['Target'].replace('../', 'ppt/')
-
-  const slideMasterContent = await readXmlFile(zip, masterFilename)
-  const slideMasterTextStyles = getTextByPathList(slideMasterContent, ['p:sldMaster', 'p:txStyles'])
-  const slideMasterTables = indexNodes(slideMasterContent)
-
-  const slideMasterResFilename = masterFilename.replace('slideMasters/slideMaster', 'slideMasters/_rels/slideMaster') + '.rels'
-  const slideMasterResContent = await readXmlFile(zip, slideMasterResFilename)
-  relationshipArray = slideMasterResContent['Relationships']['Relationship']
-
-  let themeFilename = ''
-  const masterResObj = {}
-  if (relationshipArray.constructor === Array) {
-    for (const relationshipArrayItem of relationshipArray) {
-      switch (relationshipArrayItem['attrs']['Type']) {
-        case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme':
-          break
-        default:
-          masterResObj[relationshipArrayItem['attrs']['Id']] = {
-            type: relationshipArrayItem['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-            target: relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/'),
-          }
-      }
-    }
-  }
-  else themeFilename = relationshipArray['attrs']['Target'].replace('../', 'ppt/')
-
-  const themeResObj = {}
-  if (themeFilename) {
-    const themeName = themeFilename.split('/').pop()
-    const themeResFileName = themeFilename.replace(themeName, '_rels/' + themeName) + '.rels'
-    const themeResContent = await readXmlFile(zip, themeResFileName)
-    if (themeResContent) {
-      relationshipArray = themeResContent['Relationships']['Relationship']
-      if (relationshipArray) {
-        if (relationshipArray.constructor === Array) {
-          for (const relationshipArrayItem of relationshipArray) {
-            themeResObj[relationshipArrayItem['attrs']['Id']] = {
-              'type': relationshipArrayItem['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-              'target': relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
-            }
-          }
-        } 
-        else {
-          themeResObj[relationshipArray['attrs']['Id']] = {
-            'type': relationshipArray['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-            'target': relationshipArray['attrs']['Target'].replace('../', 'ppt/')
-          }
-        }
-      }
-    }
-  }
+  const {
+    slideLayoutContent,
+    slideLayoutTables,
+    layoutResObj,
+    masterFilename,
+    slideMasterContent,
+    slideMasterTextStyles,
+    slideMasterTables,
+    masterResObj,
+    themeContent,
+    themeResObj,
+  } = await loadLayoutParts(context, layoutFilename)
 
   const diagramResObj = {}
   let digramFileContent = {}
@@ -226,23 +406,15 @@ async function processSingleSlide(zip, sldFileName, themeContent, defaultTextSty
       relationshipArray = digramResContent['Relationships']['Relationship']
       if (relationshipArray.constructor === Array) {
         for (const relationshipArrayItem of relationshipArray) {
-          diagramResObj[relationshipArrayItem['attrs']['Id']] = {
-            'type': relationshipArrayItem['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-            'target': relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
-          }
+          diagramResObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
         }
       } 
       else {
-        diagramResObj[relationshipArray['attrs']['Id']] = {
-          'type': relationshipArray['attrs']['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
-          'target': relationshipArray['attrs']['Target'].replace('../', 'ppt/')
-        }
+        diagramResObj[relationshipArray['attrs']['Id']] = getRelationship(relationshipArray['attrs'])
       }
     }
   }
 
-  const tableStyles = await readXmlFile(zip, 'ppt/tableStyles.xml')
-
   const slideContent = await readXmlFile(zip, sldFileName)
   const nodes = slideContent['p:sld']['p:cSld']['p:spTree']
   const warpObj = {
@@ -252,7 +424,7 @@ async function processSingleSlide(zip, sldFileName, themeContent, defaultTextSty
     slideMasterContent,
     slideMasterTables,
     slideContent,
-    tableStyles,
+    tableStyles: context.tableStyles,
     slideResObj,
     slideMasterTextStyles,
     layoutResObj,
@@ -261,12 +433,19 @@ async function processSingleSlide(zip, sldFileName, themeContent, defaultTextSty
     themeResObj,
     digramFileContent,
     diagramResObj,
-    defaultTextStyle,
+    defaultTextStyle: context.defaultTextStyle,
+    options: context.options,
+    mediaCache: context.mediaCache,
+    assets,
+    slideList: context.slideList,
+    commentAuthors: context.commentAuthors,
   }
-  // const bgElements = await getBackground(warpObj)
   const bgColor = await getSlideBackgroundFill(warpObj)
 
   const elements = []
+  if (getTextByPathList(context.options, ['masterElements'])) {
+    elements.push(...await getInheritedElements(warpObj))
+  }
   for (const nodeKey in nodes) {
     if (nodes[nodeKey].constructor === Array) {
       for (const node of nodes[nodeKey]) {
@@ -280,56 +459,413 @@ async function processSingleSlide(zip, sldFileName, themeContent, defaultTextSty
     }
   }
 
-  return {
+  const slide = {
+    layout: layoutFilename,
+    master: masterFilename,
+    showMasterSp: getTextByPathList(slideContent, ['p:sld', 'attrs', 'showMasterSp']) !== '0',
     fill: bgColor,
     elements,
   }
+
+  const transition = await getTransition(warpObj)
+  if (transition) slide.transition = transition
+
+  const animations = getAnimations(warpObj)
+  if (animations) slide.animations = animations
+
+  const notes = await getNotes(warpObj)
+  if (notes) slide.notes = notes
+
+  const comments = await getComments(warpObj)
+  if (comments.length) slide.comments = comments
+
+  return slide
+}
+
+async function processMasterAndLayouts(masterList, masterIndex, context) {
+  const { partName, layouts: layoutFilenames } = masterList[masterIndex]
+  const assets = {}
+
+  const master = await processSingleMaster(partName, layoutFilenames, context, assets)
+  const layouts = []
+  for (const layoutFilename of layoutFilenames) {
+    layouts.push(await processSingleLayout(layoutFilename, context, assets))
+  }
+
+  const item = {
+    type: 'master',
+    index: masterIndex,
+    master,
+    layouts,
+  }
+
+  const { themeFilename, themeContent } = await loadMasterParts(context, partName)
+  if (themeFilename) {
+    item.theme = {
+      partName: themeFilename,
+      ...getThemeInfo(themeContent),
+    }
+  }
+  if (context.options.media === 'asset') item.assets = assets
+
+  return item
 }
 
-// async function getBackground(warpObj) {
-//   const elements = []
-//   const slideLayoutContent = warpObj['slideLayoutContent']
-//   const slideMasterContent = warpObj['slideMasterContent']
-//   const nodesSldLayout = getTextByPathList(slideLayoutContent, ['p:sldLayout', 'p:cSld', 'p:spTree'])
-//   const nodesSldMaster = getTextByPathList(slideMasterContent, ['p:sldMaster', 'p:cSld', 'p:spTree'])
-
-//   const showMasterSp = getTextByPathList(slideLayoutContent, ['p:sldLayout', 'attrs', 'showMasterSp'])
-//   if (nodesSldLayout) {
-//     for (const nodeKey in nodesSldLayout) {
-//       if (nodesSldLayout[nodeKey].constructor === Array) {
-//         for (let i = 0; i < nodesSldLayout[nodeKey].length; i++) {
-//           const ph_type = getTextByPathList(nodesSldLayout[nodeKey][i], ['p:nvSpPr', 'p:nvPr', 'p:ph', 'attrs', 'type'])
-//           if (ph_type !== 'pic') {
-//             const ret = await processNodesInSlide(nodeKey, nodesSldLayout[nodeKey][i], warpObj, 'slideLayoutBg')
-//             if (ret) elements.push(ret)
-//           }
-//         }
-//       } 
-//       else {
-//         const ph_type = getTextByPathList(nodesSldLayout[nodeKey], ['p:nvSpPr', 'p:nvPr', 'p:ph', 'attrs', 'type'])
-//         if (ph_type !== 'pic') {
-//           const ret = await processNodesInSlide(nodeKey, nodesSldLayout[nodeKey], warpObj, 'slideLayoutBg')
-//           if (ret) elements.push(ret)
-//         }
-//       }
-//     }
-//   }
-//   if (nodesSldMaster && (showMasterSp === '1' || showMasterSp)) {
-//     for (const nodeKey in nodesSldMaster) {
-//       if (nodesSldMaster[nodeKey].constructor === Array) {
-//         for (let i = 0; i < nodesSldMaster[nodeKey].length; i++) {
-//           const ret = await processNodesInSlide(nodeKey, nodesSldMaster[nodeKey][i], warpObj, 'slideMasterBg')
-//           if (ret) elements.push(ret)
-//         }
-//       } 
-//       else {
-//         const ret = await processNodesInSlide(nodeKey, nodesSldMaster[nodeKey], warpObj, 'slideMasterBg')
-//         if (ret) elements.push(ret)
-//       }
-//     }
-//   }
-//   return elements
-// }
+async function processSingleMaster(masterFilename, layoutFilenames, context, assets) {
+  const parts = await loadMasterParts(context, masterFilename)
+  const warpObj = {
+    zip: context.zip,
+    slideLayoutContent: {},
+    slideLayoutTables: { idTable: {}, idxTable: {}, typeTable: {} },
+    slideMasterContent: parts.slideMasterContent,
+    slideMasterTables: parts.slideMasterTables,
+    slideContent: {},
+    tableStyles: context.tableStyles,
+    slideResObj: parts.masterResObj,
+    slideMasterTextStyles: parts.slideMasterTextStyles,
+    layoutResObj: {},
+    masterResObj: parts.masterResObj,
+    themeContent: parts.themeContent,
+    themeResObj: parts.themeResObj,
+    digramFileContent: {},
+    diagramResObj: {},
+    defaultTextStyle: context.defaultTextStyle,
+    options: context.options,
+    mediaCache: context.mediaCache,
+    assets,
+    slideList: context.slideList,
+  }
+
+  const spTreeNode = getTextByPathList(parts.slideMasterContent, ['p:sldMaster', 'p:cSld', 'p:spTree'])
+  const textStyles = parts.slideMasterTextStyles
+
+  return {
+    partName: masterFilename,
+    name: decodeXmlEntities(getTextByPathList(parts.slideMasterContent, ['p:sldMaster', 'p:cSld', 'attrs', 'name']) || ''),
+    theme: parts.themeFilename,
+    fill: await getSlideBackgroundFill(warpObj),
+    textStyles: {
+      title: getTextStyle(getTextByPathList(textStyles, ['p:titleStyle']), warpObj),
+      body: getTextStyle(getTextByPathList(textStyles, ['p:bodyStyle']), warpObj),
+      other: getTextStyle(getTextByPathList(textStyles, ['p:otherStyle']), warpObj),
+    },
+    placeholders: getPlaceholders(spTreeNode, undefined, warpObj),
+    elements: await processInheritedNodes(spTreeNode, warpObj, 'slideMasterBg', 'master'),
+    layouts: layoutFilenames,
+  }
+}
+
+async function processSingleLayout(layoutFilename, context, assets) {
+  const parts = await loadLayoutParts(context, layoutFilename)
+  const warpObj = {
+    zip: context.zip,
+    slideLayoutContent: parts.slideLayoutContent,
+    slideLayoutTables: parts.slideLayoutTables,
+    slideMasterContent: parts.slideMasterContent,
+    slideMasterTables: parts.slideMasterTables,
+    slideContent: {},
+    tableStyles: context.tableStyles,
+    slideResObj: parts.layoutResObj,
+    slideMasterTextStyles: parts.slideMasterTextStyles,
+    layoutResObj: parts.layoutResObj,
+    masterResObj: parts.masterResObj,
+    themeContent: parts.themeContent,
+    themeResObj: parts.themeResObj,
+    digramFileContent: {},
+    diagramResObj: {},
+    defaultTextStyle: context.defaultTextStyle,
+    options: context.options,
+    mediaCache: context.mediaCache,
+    assets,
+    slideList: context.slideList,
+  }
+
+  const layoutNode = getTextByPathList(parts.slideLayoutContent, ['p:sldLayout'])
+  const spTreeNode = getTextByPathList(layoutNode, ['p:cSld', 'p:spTree'])
+
+  return {
+    partName: layoutFilename,
+    name: decodeXmlEntities(getTextByPathList(layoutNode, ['p:cSld', 'attrs', 'name']) || ''),
+    type: getTextByPathList(layoutNode, ['attrs', 'type']) || 'cust',
+    master: parts.masterFilename,
+    showMasterSp: getTextByPathList(layoutNode, ['attrs', 'showMasterSp']) !== '0',
+    fill: await getSlideBackgroundFill(warpObj),
+    placeholders: getPlaceholders(spTreeNode, parts.slideMasterTables, warpObj),
+    elements: await processInheritedNodes(spTreeNode, warpObj, 'slideLayoutBg', 'layout'),
+  }
+}
+
+function getPlaceholders(spTreeNode, inheritTables, warpObj) {
+  const placeholders = []
+  if (!spTreeNode) return placeholders
+
+  for (const nodeKey in spTreeNode) {
+    const nodes = spTreeNode[nodeKey].constructor === Array ? spTreeNode[nodeKey] : [spTreeNode[nodeKey]]
+    for (const node of nodes) {
+      const phNode = getPlaceholderNode(node)
+      if (!phNode) continue
+
+      const type = getTextByPathList(phNode, ['attrs', 'type'])
+      const idx = getTextByPathList(phNode, ['attrs', 'idx'])
+
+      let inheritSpNode
+      if (inheritTables) {
+        if (type) inheritSpNode = inheritTables['typeTable'][type]
+        else if (idx) inheritSpNode = inheritTables['idxTable'][idx]
+      }
+
+      const xfrmNode = getTextByPathList(node, ['p:spPr', 'a:xfrm']) || node['p:xfrm']
+      const inheritXfrmNode = getTextByPathList(inheritSpNode, ['p:spPr', 'a:xfrm'])
+      const { top, left } = getPosition(xfrmNode, inheritXfrmNode, undefined)
+      const { width, height } = getSize(xfrmNode, inheritXfrmNode, undefined)
+
+      const placeholder = {
+        type: type || 'obj',
+        name: decodeXmlEntities(getNonVisualProps(node)['name'] || ''),
+        left,
+        top,
+        width,
+        height,
+        textStyle: getTextStyle(getTextByPathList(node, ['p:txBody', 'a:lstStyle']), warpObj),
+      }
+      if (idx) placeholder.idx = idx
+
+      placeholders.push(placeholder)
+    }
+  }
+  return placeholders
+}
+
+async function loadLayoutParts(context, layoutFilename) {
+  const layoutParts = await getCachedPart(context, layoutFilename, () => loadSlideLayout(context.zip, layoutFilename))
+
+  return {
+    ...layoutParts,
+    ...await loadMasterParts(context, layoutParts.masterFilename),
+  }
+}
+
+async function loadMasterParts(context, masterFilename) {
+  const { zip } = context
+  const masterParts = await getCachedPart(context, masterFilename, () => loadSlideMaster(zip, masterFilename))
+
+  const { themeFilename } = masterParts
+  const themeParts = themeFilename ? await getCachedPart(context, themeFilename, () => loadThemePart(zip, themeFilename)) : {}
+
+  return {
+    ...masterParts,
+    themeContent: themeParts.themeContent || context.themeContent,
+    themeResObj: themeParts.themeResObj || {},
+  }
+}
+
+function getCachedPart(context, filename, loader) {
+  if (!context.cache[filename]) context.cache[filename] = loader()
+  return context.cache[filename]
+}
+
+async function loadSlideLayout(zip, layoutFilename) {
+  const slideLayoutContent = await readXmlFile(zip, layoutFilename)
+  const slideLayoutTables = indexNodes(slideLayoutContent)
+
+  const slideLayoutResFilename = layoutFilename.replace('slideLayouts/slideLayout', 'slideLayouts/_rels/slideLayout') + '.rels'
+  const slideLayoutResContent = await readXmlFile(zip, slideLayoutResFilename)
+  const relationshipArray = slideLayoutResContent['Relationships']['Relationship']
+
+  let masterFilename = ''
+  const layoutResObj = {}
+  if (relationshipArray.constructor === Array) {
+    for (const relationshipArrayItem of relationshipArray) {
+      switch (relationshipArrayItem['attrs']['Type']) {
+        case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster':
+          masterFilename = relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
+          break
+        default:
+          layoutResObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
+      }
+    }
+  } 
+  else masterFilename = relationshipArray['attrs']['Target'].replace('../', 'ppt/')
+
+  return {
+    slideLayoutContent,
+    slideLayoutTables,
+    layoutResObj,
+    masterFilename,
+  }
+}
+
+async function loadSlideMaster(zip, masterFilename) {
+  const slideMasterContent = await readXmlFile(zip, masterFilename)
+  const slideMasterTextStyles = getTextByPathList(slideMasterContent, ['p:sldMaster', 'p:txStyles'])
+  const slideMasterTables = indexNodes(slideMasterContent)
+
+  const slideMasterResFilename = masterFilename.replace('slideMasters/slideMaster', 'slideMasters/_rels/slideMaster') + '.rels'
+  const slideMasterResContent = await readXmlFile(zip, slideMasterResFilename)
+  const relationshipArray = slideMasterResContent['Relationships']['Relationship']
+
+  let themeFilename = ''
+  const masterResObj = {}
+  if (relationshipArray.constructor === Array) {
+    for (const relationshipArrayItem of relationshipArray) {
+      switch (relationshipArrayItem['attrs']['Type']) {
+        case 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme':
+          themeFilename = relationshipArrayItem['attrs']['Target'].replace('../', 'ppt/')
+          break
+        default:
+          masterResObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
+      }
+    }
+  }
+  else themeFilename = relationshipArray['attrs']['Target'].replace('../', 'ppt/')
+
+  return {
+    slideMasterContent,
+    slideMasterTextStyles,
+    slideMasterTables,
+    masterResObj,
+    themeFilename,
+  }
+}
+
+async function loadThemePart(zip, themeFilename) {
+  const themeContent = await readXmlFile(zip, themeFilename)
+  const themeResObj = {}
+  const themeName = themeFilename.split('/').pop()
+  const themeResFileName = themeFilename.replace(themeName, '_rels/' + themeName) + '.rels'
+  const themeResContent = await readXmlFile(zip, themeResFileName)
+  if (themeResContent) {
+    const relationshipArray = themeResContent['Relationships']['Relationship']
+    if (relationshipArray) {
+      if (relationshipArray.constructor === Array) {
+        for (const relationshipArrayItem of relationshipArray) {
+          themeResObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
+        }
+      } 
+      else {
+        themeResObj[relationshipArray['attrs']['Id']] = getRelationship(relationshipArray['attrs'])
+      }
+    }
+  }
+  return {
+    themeContent,
+    themeResObj,
+  }
+}
+
+async function getInheritedElements(warpObj) {
+  const elements = []
+
+  const slideShowMasterSp = getTextByPathList(warpObj['slideContent'], ['p:sld', 'attrs', 'showMasterSp'])
+  if (slideShowMasterSp === '0') return elements
+
+  const layoutShowMasterSp = getTextByPathList(warpObj['slideLayoutContent'], ['p:sldLayout', 'attrs', 'showMasterSp'])
+  if (layoutShowMasterSp !== '0') {
+    const nodesSldMaster = getTextByPathList(warpObj['slideMasterContent'], ['p:sldMaster', 'p:cSld', 'p:spTree'])
+    const masterWarpObj = { ...warpObj, slideResObj: warpObj['masterResObj'] }
+    elements.push(...await processInheritedNodes(nodesSldMaster, masterWarpObj, 'slideMasterBg', 'master'))
+  }
+
+  const nodesSldLayout = getTextByPathList(warpObj['slideLayoutContent'], ['p:sldLayout', 'p:cSld', 'p:spTree'])
+  const layoutWarpObj = { ...warpObj, slideResObj: warpObj['layoutResObj'] }
+  elements.push(...await processInheritedNodes(nodesSldLayout, layoutWarpObj, 'slideLayoutBg', 'layout'))
+
+  return elements
+}
+
+async function processInheritedNodes(spTreeNode, warpObj, source, origin) {
+  const elements = []
+  if (!spTreeNode) return elements
+
+  for (const nodeKey in spTreeNode) {
+    const nodes = spTreeNode[nodeKey].constructor === Array ? spTreeNode[nodeKey] : [spTreeNode[nodeKey]]
+    for (const node of nodes) {
+      if (getPlaceholderNode(node)) continue
+
+      const ret = await processNodesInSlide(nodeKey, node, warpObj, source)
+      if (ret) elements.push({ ...ret, origin })
+    }
+  }
+  return elements
+}
+
+const NON_VISUAL_PROPS_KEYS = ['p:nvSpPr', 'p:nvPicPr', 'p:nvGraphicFramePr', 'p:nvCxnSpPr', 'p:nvGrpSpPr']
+
+function getNonVisualPropsNode(node) {
+  for (const key of NON_VISUAL_PROPS_KEYS) {
+    if (getTextByPathList(node, [key])) return getTextByPathList(node, [key, 'p:cNvPr'])
+  }
+  return undefined
+}
+
+function getNonVisualProps(node) {
+  return getTextByPathList(getNonVisualPropsNode(node), ['attrs']) || {}
+}
+
+function getPlaceholderNode(node) {
+  for (const key of NON_VISUAL_PROPS_KEYS) {
+    const phNode = getTextByPathList(node, [key, 'p:nvPr', 'p:ph'])
+    if (phNode) return phNode
+  }
+  return undefined
+}
+
+function getInheritedSpNodes(type, idx, warpObj) {
+  if (type) {
+    return {
+      slideLayoutSpNode: warpObj['slideLayoutTables']['typeTable'][type],
+      slideMasterSpNode: warpObj['slideMasterTables']['typeTable'][type],
+    }
+  }
+  if (idx) {
+    return {
+      slideLayoutSpNode: warpObj['slideLayoutTables']['idxTable'][idx],
+      slideMasterSpNode: warpObj['slideMasterTables']['idxTable'][idx],
+    }
+  }
+  return {}
+}
+
+function hasListStyle(spNode) {
+  const lstStyleNode = getTextByPathList(spNode, ['p:txBody', 'a:lstStyle'])
+  if (!lstStyleNode) return false
+  return Object.keys(lstStyleNode).some(key => key !== 'attrs')
+}
+
+function getPlaceholderInfo(node, slideLayoutSpNode, slideMasterSpNode, xfrmNode) {
+  const phNode = getPlaceholderNode(node)
+  if (!phNode) return undefined
+
+  const attrs = phNode['attrs'] || {}
+  const type = attrs['type'] ||
+    getTextByPathList(getPlaceholderNode(slideLayoutSpNode), ['attrs', 'type']) ||
+    getTextByPathList(getPlaceholderNode(slideMasterSpNode), ['attrs', 'type']) ||
+    'obj'
+
+  let xfrmSource
+  if (xfrmNode) xfrmSource = 'slide'
+  else if (getTextByPathList(slideLayoutSpNode, ['p:spPr', 'a:xfrm'])) xfrmSource = 'layout'
+  else if (getTextByPathList(slideMasterSpNode, ['p:spPr', 'a:xfrm'])) xfrmSource = 'master'
+
+  const placeholder = {
+    type,
+    size: attrs['sz'] || 'full',
+    orient: attrs['orient'] || 'horz',
+    sources: {
+      position: xfrmSource,
+      size: xfrmSource,
+    },
+  }
+  if (attrs['idx'] !== undefined) placeholder.idx = attrs['idx']
+
+  if (node['p:txBody']) {
+    if (hasListStyle(node)) placeholder.sources.textStyle = 'slide'
+    else if (hasListStyle(slideLayoutSpNode)) placeholder.sources.textStyle = 'layout'
+    else placeholder.sources.textStyle = 'master'
+  }
+
+  return placeholder
+}
 
 function indexNodes(content) {
   const keys = Object.keys(content)
@@ -371,6 +907,10 @@ function indexNodes(content) {
 }
 
 async function processNodesInSlide(nodeKey, nodeValue, warpObj, source) {
+  const nvProps = getNonVisualProps(nodeValue)
+  const hidden = nvProps['hidden'] === '1' || nvProps['hidden'] === 'true'
+  if (hidden && getTextByPathList(warpObj, ['options', 'hiddenElements']) === false) return null
+
   let json
 
   switch (nodeKey) {
@@ -381,7 +921,7 @@ async function processNodesInSlide(nodeKey, nodeValue, warpObj, source) {
       json = processCxnSpNode(nodeValue, warpObj, source)
       break
     case 'p:pic': // Image, Video, Audio
-      json = processPicNode(nodeValue, warpObj, source)
+      json = await processPicNode(nodeValue, warpObj, source)
       break
     case 'p:graphicFrame': // Chart, Diagram, Table
       json = await processGraphicFrameNode(nodeValue, warpObj, source)
@@ -395,6 +935,15 @@ async function processNodesInSlide(nodeKey, nodeValue, warpObj, source) {
     default:
   }
 
+  if (json && json.type && nvProps['id'] !== undefined) {
+    json.id = nvProps['id']
+    json.altText = decodeXmlEntities(nvProps['descr'] || '')
+    json.title = decodeXmlEntities(nvProps['title'] || '')
+    json.hidden = hidden
+
+    const links = getElementLinks(getNonVisualPropsNode(nodeValue), warpObj)
+    if (links) json.link = links
+  }
   return json
 }
 
@@ -453,22 +1002,7 @@ function processSpNode(node, warpObj, source) {
   const idx = getTextByPathList(node, ['p:nvSpPr', 'p:nvPr', 'p:ph', 'attrs', 'idx'])
   let type = getTextByPathList(node, ['p:nvSpPr', 'p:nvPr', 'p:ph', 'attrs', 'type'])
 
-  let slideLayoutSpNode, slideMasterSpNode
-
-  if (type) {
-    if (idx) {
-      slideLayoutSpNode = warpObj['slideLayoutTables']['typeTable'][type]
-      slideMasterSpNode = warpObj['slideMasterTables']['typeTable'][type]
-    } 
-    else {
-      slideLayoutSpNode = warpObj['slideLayoutTables']['typeTable'][type]
-      slideMasterSpNode = warpObj['slideMasterTables']['typeTable'][type]
-    }
-  }
-  else if (idx) {
-    slideLayoutSpNode = warpObj['slideLayoutTables']['idxTable'][idx]
-    slideMasterSpNode = warpObj['slideMasterTables']['idxTable'][idx]
-  }
+  const { slideLayoutSpNode, slideMasterSpNode } = getInheritedSpNodes(type, idx, warpObj)
 
   if (!type) {
     const txBoxVal = getTextByPathList(node, ['p:nvSpPr', 'p:cNvSpPr', 'attrs', 'txBox'])
@@ -518,7 +1052,11 @@ function genShape(node, slideLayoutSpNode, slideMasterSpNode, name, type, warpOb
   else txtRotate = rotate
 
   let content = ''
-  if (node['p:txBody']) content = genTextBody(node['p:txBody'], node, slideLayoutSpNode, type, warpObj)
+  let paragraphs = []
+  if (node['p:txBody']) {
+    content = genTextBody(node['p:txBody'], node, slideLayoutSpNode, slideMasterSpNode, type, warpObj)
+    paragraphs = genTextParagraphs(node['p:txBody'], node, slideLayoutSpNode, slideMasterSpNode, type, warpObj)
+  }
 
   const { borderColor, borderWidth, borderType, strokeDasharray } = getBorder(node, type, warpObj)
   const fillColor = getShapeFill(node, undefined, warpObj) || ''
@@ -541,6 +1079,7 @@ function genShape(node, slideLayoutSpNode, slideMasterSpNode, name, type, warpOb
     borderStrokeDasharray: strokeDasharray,
     fillColor,
     content,
+    paragraphs,
     isFlipV,
     isFlipH,
     rotate,
@@ -550,6 +1089,9 @@ function genShape(node, slideLayoutSpNode, slideMasterSpNode, name, type, warpOb
 
   if (shadow) data.shadow = shadow
 
+  const placeholder = getPlaceholderInfo(node, slideLayoutSpNode, slideMasterSpNode, slideXfrmNode)
+  if (placeholder) data.placeholder = placeholder
+
   if (custShapType && type !== 'diagram') {
     const ext = getTextByPathList(slideXfrmNode, ['a:ext', 'attrs'])
     const w = parseInt(ext['cx']) * RATIO_EMUs_Points
@@ -587,14 +1129,17 @@ async function processPicNode(node, warpObj, source) {
   const rid = node['p:blipFill']['a:blip']['attrs']['r:embed']
   const imgName = resObj[rid]['target']
   const imgFileExt = extractFileExtension(imgName).toLowerCase()
-  const zip = warpObj['zip']
-  const imgArrayBuffer = await zip.file(imgName).async('arraybuffer')
   const xfrmNode = node['p:spPr']['a:xfrm']
 
+  const phNode = getPlaceholderNode(node)
+  const { slideLayoutSpNode, slideMasterSpNode } = phNode ? getInheritedSpNodes(getTextByPathList(phNode, ['attrs', 'type']), getTextByPathList(phNode, ['attrs', 'idx']), warpObj) : {}
+  const slideLayoutXfrmNode = getTextByPathList(slideLayoutSpNode, ['p:spPr', 'a:xfrm'])
+  const slideMasterXfrmNode = getTextByPathList(slideMasterSpNode, ['p:spPr', 'a:xfrm'])
+
   const mimeType = getMimeType(imgFileExt)
-  const { top, left } = getPosition(xfrmNode, undefined, undefined)
-  const { width, height } = getSize(xfrmNode, undefined, undefined)
-  const src = `data:${mimeType};base64,${base64ArrayBuffer(imgArrayBuffer)}`
+  const { top, left } = getPosition(xfrmNode, slideLayoutXfrmNode, slideMasterXfrmNode)
+  const { width, height } = getSize(xfrmNode, slideLayoutXfrmNode, slideMasterXfrmNode)
+  const src = await getMediaSrc(imgName, mimeType, 'base64', warpObj)
 
   const isFlipV = getTextByPathList(xfrmNode, ['attrs', 'flipV']) === '1'
   const isFlipH = getTextByPathList(xfrmNode, ['attrs', 'flipH']) === '1'
@@ -604,7 +1149,7 @@ async function processPicNode(node, warpObj, source) {
   if (rotateNode) rotate = angleToDegrees(rotateNode)
 
   const videoNode = getTextByPathList(node, ['p:nvPicPr', 'p:nvPr', 'a:videoFile'])
-  let videoRid, videoFile, videoFileExt, videoMimeType, uInt8ArrayVideo, videoBlob
+  let videoRid, videoFile, videoFileExt, videoMimeType, videoBlob
   let isVdeoLink = false
 
   if (videoNode) {
@@ -617,29 +1162,26 @@ async function processPicNode(node, warpObj, source) {
     else {
       videoFileExt = extractFileExtension(videoFile).toLowerCase()
       if (videoFileExt === 'mp4' || videoFileExt === 'webm' || videoFileExt === 'ogg') {
-        uInt8ArrayVideo = await zip.file(videoFile).async('arraybuffer')
         videoMimeType = getMimeType(videoFileExt)
-        videoBlob = URL.createObjectURL(new Blob([uInt8ArrayVideo], {
-          type: videoMimeType
-        }))
+        videoBlob = await getMediaSrc(videoFile, videoMimeType, 'blob', warpObj)
       }
     }
   }
 
   const audioNode = getTextByPathList(node, ['p:nvPicPr', 'p:nvPr', 'a:audioFile'])
-  let audioRid, audioFile, audioFileExt, uInt8ArrayAudio, audioBlob
+  let audioRid, audioFile, audioFileExt, audioBlob
   if (audioNode) {
     audioRid = audioNode['attrs']['r:link']
     audioFile = resObj[audioRid]['target']
     audioFileExt = extractFileExtension(audioFile).toLowerCase()
     if (audioFileExt === 'mp3' || audioFileExt === 'wav' || audioFileExt === 'ogg') {
-      uInt8ArrayAudio = await zip.file(audioFile).async('arraybuffer')
-      audioBlob = URL.createObjectURL(new Blob([uInt8ArrayAudio]))
+      audioBlob = await getMediaSrc(audioFile, getMimeType(audioFileExt), 'blob', warpObj)
     }
   }
 
+  let element
   if (videoNode && !isVdeoLink) {
-    return {
+    element = {
       type: 'video',
       top,
       left,
@@ -649,8 +1191,8 @@ async function processPicNode(node, warpObj, source) {
       blob: videoBlob,
     }
   } 
-  if (videoNode && isVdeoLink) {
-    return {
+  else if (videoNode && isVdeoLink) {
+    element = {
       type: 'video',
       top,
       left,
@@ -660,8 +1202,8 @@ async function processPicNode(node, warpObj, source) {
       src: videoFile,
     }
   }
-  if (audioNode) {
-    return {
+  else if (audioNode) {
+    element = {
       type: 'audio',
       top,
       left,
@@ -671,17 +1213,24 @@ async function processPicNode(node, warpObj, source) {
       blob: audioBlob,
     }
   }
-  return {
-    type: 'image',
-    top,
-    left,
-    width, 
-    height,
-    rotate,
-    src,
-    isFlipV,
-    isFlipH
+  else {
+    element = {
+      type: 'image',
+      top,
+      left,
+      width, 
+      height,
+      rotate,
+      src,
+      isFlipV,
+      isFlipH
+    }
   }
+
+  const placeholder = getPlaceholderInfo(node, slideLayoutSpNode, slideMasterSpNode, xfrmNode)
+  if (placeholder) element.placeholder = placeholder
+
+  return element
 }
 
 async function processGraphicFrameNode(node, warpObj, source) {
@@ -705,6 +1254,13 @@ async function processGraphicFrameNode(node, warpObj, source) {
       break
     default:
   }
+
+  if (result) {
+    const phNode = getPlaceholderNode(node)
+    const { slideLayoutSpNode, slideMasterSpNode } = phNode ? getInheritedSpNodes(getTextByPathList(phNode, ['attrs', 'type']), getTextByPathList(phNode, ['attrs', 'idx']), warpObj) : {}
+    const placeholder = getPlaceholderInfo(node, slideLayoutSpNode, slideMasterSpNode, node['p:xfrm'])
+    if (placeholder) result.placeholder = placeholder
+  }
   return result
 }
 
@@ -824,9 +1380,10 @@ function genTable(node, warpObj) {
             a_sorce = 'a:nwCell'
           }
         }
-        const text = genTextBody(tcNode['a:txBody'], tcNode, undefined, undefined, warpObj)
+        const text = genTextBody(tcNode['a:txBody'], tcNode, undefined, undefined, undefined, warpObj)
+        const paragraphs = genTextParagraphs(tcNode['a:txBody'], tcNode, undefined, undefined, undefined, warpObj)
         const cell = getTableCellParams(tcNode, thisTblStyle, a_sorce, warpObj)
-        const td = { text }
+        const td = { text, paragraphs }
         if (cell.rowSpan) td.rowSpan = cell.rowSpan
         if (cell.colSpan) td.colSpan = cell.colSpan
         if (cell.vMerge) td.vMerge = cell.vMerge
@@ -855,9 +1412,10 @@ function genTable(node, warpObj) {
         a_sorce = 'a:lastCol'
       }
 
-      const text = genTextBody(tcNodes['a:txBody'], tcNodes, undefined, undefined, warpObj)
+      const text = genTextBody(tcNodes['a:txBody'], tcNodes, undefined, undefined, undefined, warpObj)
+      const paragraphs = genTextParagraphs(tcNodes['a:txBody'], tcNodes, undefined, undefined, undefined, warpObj)
       const cell = getTableCellParams(tcNodes, thisTblStyle, a_sorce, warpObj)
-      const td = { text }
+      const td = { text, paragraphs }
       if (cell.rowSpan) td.rowSpan = cell.rowSpan
       if (cell.colSpan) td.colSpan = cell.colSpan
       if (cell.vMerge) td.vMerge = cell.vMerge
@@ -2,6 +2,13 @@ import * as txml from 'txml/dist/txml.mjs'
 
 let cust_attr_order = 0
 
+// 同名子元素会被合并为数组，这里另外记录每个元素下子元素在文档中的原始顺序
+const childNodesMap = new WeakMap()
+
+export function getChildNodes(node) {
+  return childNodesMap.get(node)
+}
+
 export function simplifyLostLess(children, parentAttributes = {}) {
   const out = {}
   if (!children.length) return out
@@ -12,6 +19,7 @@ export function simplifyLostLess(children, parentAttributes = {}) {
       value: children[0],
     } : children[0]
   }
+  const childNodes = []
   for (const child of children) {
     if (typeof child !== 'object') return
     if (child.tagName === '?xml') continue
@@ -20,6 +28,7 @@ export function simplifyLostLess(children, parentAttributes = {}) {
 
     const kids = simplifyLostLess(child.children || [], child.attributes)
     out[child.tagName].push(kids)
+    childNodes.push({ key: child.tagName, node: kids })
 
     if (Object.keys(child.attributes).length) {
       kids.attrs = { order: cust_attr_order++, ...child.attributes }
@@ -28,6 +37,7 @@ export function simplifyLostLess(children, parentAttributes = {}) {
   for (const child in out) {
     if (out[child].length === 1) out[child] = out[child][0]
   }
+  childNodesMap.set(out, childNodes)
 
   return out
 }
@@ -40,4 +50,30 @@ export async function readXmlFile(zip, filename) {
   catch {
     return null
   }
-}
\ No newline at end of file
+}
+
+export function getRelationship(attrs) {
+  const isExternal = attrs['TargetMode'] === 'External'
+  const relationship = {
+    type: attrs['Type'].replace('http://schemas.openxmlformats.org/officeDocument/2006/relationships/', ''),
+    target: isExternal ? attrs['Target'] : attrs['Target'].replace('../', 'ppt/'),
+  }
+  if (isExternal) relationship.targetMode = 'External'
+  return relationship
+}
+
+export async function readRelsFile(zip, filename) {
+  const name = filename.split('/').pop()
+  const resContent = await readXmlFile(zip, filename.replace(name, '_rels/' + name) + '.rels')
+  const resObj = {}
+  if (!resContent) return resObj
+
+  let relationshipArray = resContent['Relationships']['Relationship']
+  if (!relationshipArray) return resObj
+  if (relationshipArray.constructor !== Array) relationshipArray = [relationshipArray]
+
+  for (const relationshipArrayItem of relationshipArray) {
+    resObj[relationshipArrayItem['attrs']['Id']] = getRelationship(relationshipArrayItem['attrs'])
+  }
+  return resObj
+}
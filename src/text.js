@@ -1,7 +1,13 @@
 import { getHorizontalAlign } from './align'
-import { getTextByPathList } from './utils'
+import { decodeXmlEntities, getOrderedChildNodes, getTextByPathList, removeUndefinedKeys } from './utils'
+import { getHyperlink, getHyperlinkAttrs } from './hyperlink'
+import { getParagraphProps } from './textStyle'
 
 import {
+  getTextStyleChain,
+  getParagraphStyleChain,
+  getRunAttr,
+  getRunBoolAttr,
   getFontType,
   getFontColor,
   getFontSize,
@@ -14,13 +20,11 @@ import {
   getFontShadow,
 } from './fontStyle'
 
-export function genTextBody(textBodyNode, spNode, slideLayoutSpNode, type, warpObj) {
+export function genTextBody(textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj) {
   if (!textBodyNode) return ''
 
   let text = ''
 
-  const pFontStyle = getTextByPathList(spNode, ['p:style', 'a:fontRef'])
-
   const pNode = textBodyNode['a:p']
   const pNodes = pNode.constructor === Array ? pNode : [pNode]
 
@@ -41,7 +45,7 @@ export function genTextBody(textBodyNode, spNode, slideLayoutSpNode, type, warpO
         brNode = (brNode.constructor === Array) ? brNode : [brNode]
         brNode.forEach(item => item.type = 'br')
   
-        if (brNode.length > 1) brNode.shift()
+        if (brNode.length > 1) brNode = brNode.slice(1)
         rNode = rNode.concat(brNode)
         rNode.sort((a, b) => {
           if (!a.attrs || !b.attrs) return true
@@ -51,6 +55,7 @@ export function genTextBody(textBodyNode, spNode, slideLayoutSpNode, type, warpO
     }
 
     const align = getHorizontalAlign(pNode, spNode, type, warpObj)
+    const styleChain = getTextStyleChain(pNode, textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj)
 
     const listType = getListType(pNode)
     if (listType) {
@@ -73,10 +78,10 @@ export function genTextBody(textBodyNode, spNode, slideLayoutSpNode, type, warpO
       text += `<p style="text-align: ${align};">`
     }
     
-    if (!rNode) text += genSpanElement(pNode, spNode, textBodyNode, pFontStyle, slideLayoutSpNode, type, warpObj)
+    if (!rNode) text += genSpanElement(pNode, styleChain, type, warpObj)
     else {
       for (const rNodeItem of rNode) {
-        text += genSpanElement(rNodeItem, pNode, textBodyNode, pFontStyle, slideLayoutSpNode, type, warpObj)
+        text += genSpanElement(rNodeItem, styleChain, type, warpObj)
       }
     }
 
@@ -96,30 +101,22 @@ export function getListType(node) {
   return ''
 }
 
-export function genSpanElement(node, pNode, textBodyNode, pFontStyle, slideLayoutSpNode, type, warpObj) {
-  const lstStyle = textBodyNode['a:lstStyle']
-  const slideMasterTextStyles = warpObj['slideMasterTextStyles']
-
-  let lvl = 1
-  const pPrNode = pNode['a:pPr']
-  const lvlNode = getTextByPathList(pPrNode, ['attrs', 'lvl'])
-  if (lvlNode !== undefined) lvl = parseInt(lvlNode) + 1
-
+export function genSpanElement(node, styleChain, type, warpObj) {
   let text = node['a:t']
   if (typeof text !== 'string') text = getTextByPathList(node, ['a:fld', 'a:t'])
   if (typeof text !== 'string') text = '&nbsp;'
 
   let styleText = ''
-  const fontColor = getFontColor(node, pNode, lstStyle, pFontStyle, lvl, warpObj)
-  const fontSize = getFontSize(node, slideLayoutSpNode, type, slideMasterTextStyles)
-  const fontType = getFontType(node, type, warpObj)
-  const fontBold = getFontBold(node)
-  const fontItalic = getFontItalic(node)
-  const fontDecoration = getFontDecoration(node)
-  const fontDecorationLine = getFontDecorationLine(node)
-  const fontSpace = getFontSpace(node)
+  const fontColor = getFontColor(node, styleChain, warpObj)
+  const fontSize = getFontSize(node, styleChain, type)
+  const fontType = getFontType(node, styleChain, type, warpObj)
+  const fontBold = getFontBold(node, styleChain)
+  const fontItalic = getFontItalic(node, styleChain)
+  const fontDecoration = getFontDecoration(node, styleChain)
+  const fontDecorationLine = getFontDecorationLine(node, styleChain)
+  const fontSpace = getFontSpace(node, styleChain)
   const shadow = getFontShadow(node, warpObj)
-  const subscript = getFontSubscript(node)
+  const subscript = getFontSubscript(node, styleChain)
 
   if (fontColor) styleText += `color: ${fontColor};`
   if (fontSize) styleText += `font-size: ${fontSize};`
@@ -132,10 +129,89 @@ export function genSpanElement(node, pNode, textBodyNode, pFontStyle, slideLayou
   if (subscript) styleText += `vertical-align: ${subscript};`
   if (shadow) styleText += `text-shadow: ${shadow};`
 
-  const linkID = getTextByPathList(node, ['a:rPr', 'a:hlinkClick', 'attrs', 'r:id'])
-  if (linkID) {
-    const linkURL = warpObj['slideResObj'][linkID]['target']
-    return `<span style="${styleText}"><a href="${linkURL}" target="_blank">${text.replace(/\t/g, '&nbsp;&nbsp;&nbsp;&nbsp;').replace(/\s/g, '&nbsp;')}</a></span>`
+  const link = getHyperlink(getTextByPathList(node, ['a:rPr', 'a:hlinkClick']), warpObj)
+  if (link) {
+    return `<span style="${styleText}"><a${getHyperlinkAttrs(link)}>${text.replace(/\t/g, '&nbsp;&nbsp;&nbsp;&nbsp;').replace(/\s/g, '&nbsp;')}</a></span>`
   } 
   return `<span style="${styleText}">${text.replace(/\t/g, '&nbsp;&nbsp;&nbsp;&nbsp;').replace(/\s/g, '&nbsp;')}</span>`
-}
\ No newline at end of file
+}
+
+function getRunText(node) {
+  const t = node['a:t']
+  if (typeof t === 'string') return decodeXmlEntities(t)
+  if (t && typeof t['value'] === 'string') return decodeXmlEntities(t['value'])
+  return ''
+}
+
+function genRun(key, node, styleChain, type, warpObj) {
+  if (key === 'a:br') return { type: 'break', text: '\n' }
+
+  const underline = getRunAttr(node, styleChain, 'u')
+  const strike = getRunAttr(node, styleChain, 'strike')
+  const baseline = parseInt(getRunAttr(node, styleChain, 'baseline'))
+  const spc = getRunAttr(node, styleChain, 'spc')
+  const fontColor = getFontColor(node, styleChain, warpObj)
+
+  const run = {
+    type: key === 'a:fld' ? 'field' : 'text',
+    text: getRunText(node),
+    fontFamily: getFontType(node, styleChain, type, warpObj),
+    fontSize: parseFloat(getFontSize(node, styleChain, type)),
+    color: fontColor || undefined,
+    bold: getRunBoolAttr(node, styleChain, 'b'),
+    italic: getRunBoolAttr(node, styleChain, 'i'),
+    underline: !!underline && underline !== 'none',
+    strike: !!strike && strike !== 'noStrike',
+    baseline: baseline ? baseline / 1000 : undefined,
+    letterSpacing: spc ? parseInt(spc) / 100 : undefined,
+    link: getHyperlink(getTextByPathList(node, ['a:rPr', 'a:hlinkClick']), warpObj),
+  }
+  if (key === 'a:fld') run.fieldType = getTextByPathList(node, ['attrs', 'type'])
+
+  return removeUndefinedKeys(run)
+}
+
+export function genTextParagraphs(textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj) {
+  if (!textBodyNode || !textBodyNode['a:p']) return []
+
+  const pNode = textBodyNode['a:p']
+  const pNodes = pNode.constructor === Array ? pNode : [pNode]
+
+  return pNodes.map(pNode => {
+    const lvlNode = getTextByPathList(pNode, ['a:pPr', 'attrs', 'lvl'])
+    const lvl = lvlNode !== undefined ? parseInt(lvlNode) + 1 : 1
+
+    const styleChain = getTextStyleChain(pNode, textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj)
+    const pPrChain = getParagraphStyleChain(pNode, textBodyNode, spNode, slideLayoutSpNode, slideMasterSpNode, type, warpObj)
+    const runs = []
+    for (const { key, node } of getOrderedChildNodes(pNode)) {
+      if (key !== 'a:r' && key !== 'a:fld' && key !== 'a:br') continue
+      runs.push(genRun(key, node, styleChain, type, warpObj))
+    }
+
+    return {
+      ...getParagraphProps(pPrChain),
+      align: getHorizontalAlign(pNode, spNode, type, warpObj),
+      level: lvl,
+      runs,
+    }
+  })
+}
+
+export function getParagraphPlainText(pNode) {
+  let text = ''
+  for (const { key, node } of getOrderedChildNodes(pNode)) {
+    if (key === 'a:r' || key === 'a:fld') text += getRunText(node)
+    else if (key === 'a:br') text += '\n'
+  }
+  return text
+}
+
+export function getTextBodyPlainText(textBodyNode) {
+  if (!textBodyNode || !textBodyNode['a:p']) return ''
+
+  const pNode = textBodyNode['a:p']
+  const pNodes = pNode.constructor === Array ? pNode : [pNode]
+
+  return pNodes.map(pNode => getParagraphPlainText(pNode)).join('\n')
+}
@@ -0,0 +1,106 @@
+import { getSolidFill } from './fill'
+import { resolveThemeTypeface } from './fontStyle'
+import { decodeXmlEntities, getTextByPathList, removeUndefinedKeys } from './utils'
+import { RATIO_EMUs_Points } from './constants'
+
+const ALIGN_TYPES = {
+  l: 'left',
+  ctr: 'center',
+  r: 'right',
+  just: 'justify',
+  dist: 'justify',
+}
+
+function getTypeface(rPrNode, warpObj) {
+  return resolveThemeTypeface(getTextByPathList(rPrNode, ['a:latin', 'attrs', 'typeface']), warpObj)
+}
+
+function getBullet(pPrNode) {
+  if (!pPrNode) return undefined
+  if (pPrNode['a:buNone']) return { type: 'none' }
+  if (pPrNode['a:buAutoNum']) {
+    return {
+      type: 'autoNumber',
+      scheme: getTextByPathList(pPrNode, ['a:buAutoNum', 'attrs', 'type']),
+    }
+  }
+  if (pPrNode['a:buChar']) {
+    return {
+      type: 'char',
+      char: decodeXmlEntities(getTextByPathList(pPrNode, ['a:buChar', 'attrs', 'char']) || ''),
+    }
+  }
+  return undefined
+}
+
+function getSpacing(spacingNode) {
+  const percent = getTextByPathList(spacingNode, ['a:spcPct', 'attrs', 'val'])
+  const points = getTextByPathList(spacingNode, ['a:spcPts', 'attrs', 'val'])
+  return {
+    ratio: percent !== undefined ? parseInt(percent) / 100000 : undefined,
+    points: points !== undefined ? parseInt(points) / 100 : undefined,
+  }
+}
+
+// pPrChain 为段落属性的继承链（按优先级从高到低），每个属性取第一个设置了该属性的节点
+export function getParagraphProps(pPrChain) {
+  const getAttr = name => {
+    const pPrNode = pPrChain.find(item => getTextByPathList(item, ['attrs', name]) !== undefined)
+    return getTextByPathList(pPrNode, ['attrs', name])
+  }
+  const getChild = key => {
+    const pPrNode = pPrChain.find(item => item[key])
+    return pPrNode ? pPrNode[key] : undefined
+  }
+
+  const algn = getAttr('algn')
+  const marL = getAttr('marL')
+  const indent = getAttr('indent')
+  const lineSpacing = getSpacing(getChild('a:lnSpc'))
+  const spaceBefore = getSpacing(getChild('a:spcBef'))
+  const spaceAfter = getSpacing(getChild('a:spcAft'))
+
+  const props = {
+    align: ALIGN_TYPES[algn],
+    marginLeft: marL !== undefined ? parseInt(marL) * RATIO_EMUs_Points : undefined,
+    indent: indent !== undefined ? parseInt(indent) * RATIO_EMUs_Points : undefined,
+    lineSpacing: lineSpacing.ratio,
+    lineSpacingPoints: lineSpacing.points,
+    spaceBefore: spaceBefore.points,
+    spaceBeforeRatio: spaceBefore.ratio,
+    spaceAfter: spaceAfter.points,
+    spaceAfterRatio: spaceAfter.ratio,
+    bullet: getBullet(pPrChain.find(item => item['a:buNone'] || item['a:buAutoNum'] || item['a:buChar'])),
+  }
+
+  return removeUndefinedKeys(props)
+}
+
+function getLevelStyle(pPrNode, level, clrMap, warpObj) {
+  const rPrNode = pPrNode['a:defRPr'] || {}
+  const rPrAttrs = rPrNode['attrs'] || {}
+
+  const style = {
+    level,
+    ...getParagraphProps([pPrNode]),
+    fontSize: rPrAttrs['sz'] !== undefined ? parseInt(rPrAttrs['sz']) / 100 : undefined,
+    fontFamily: getTypeface(rPrNode, warpObj),
+    color: getSolidFill(rPrNode['a:solidFill'], clrMap, undefined, warpObj) || undefined,
+    bold: rPrAttrs['b'] !== undefined ? rPrAttrs['b'] === '1' : undefined,
+    italic: rPrAttrs['i'] !== undefined ? rPrAttrs['i'] === '1' : undefined,
+  }
+
+  return removeUndefinedKeys(style)
+}
+
+export function getTextStyle(lstStyleNode, warpObj) {
+  const levels = []
+  if (!lstStyleNode) return levels
+
+  const clrMap = getTextByPathList(warpObj['slideMasterContent'], ['p:sldMaster', 'p:clrMap', 'attrs'])
+  for (let level = 1; level <= 9; level++) {
+    const pPrNode = lstStyleNode['a:lvl' + level + 'pPr']
+    if (pPrNode) levels.push(getLevelStyle(pPrNode, level, clrMap, warpObj))
+  }
+  return levels
+}
@@ -0,0 +1,201 @@
+import { getOrderedChildNodes, getTextByPathList, angleToDegrees, toArray } from './utils'
+import { RATIO_EMUs_Points } from './constants'
+
+const SCHEME_COLOR_NAMES = ['dk1', 'lt1', 'dk2', 'lt2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6', 'hlink', 'folHlink']
+
+const COLOR_KEYS = ['a:srgbClr', 'a:schemeClr', 'a:sysClr', 'a:prstClr', 'a:scrgbClr', 'a:hslClr']
+
+// hue、hueOff 的单位为 1/60000 度，其余变换为 1/100000 的比例值
+const HUE_TRANSFORMS = ['hue', 'hueOff']
+
+export function getThemeColors(themeContent) {
+  const clrScheme = getTextByPathList(themeContent, ['a:theme', 'a:themeElements', 'a:clrScheme'])
+  const colors = {}
+
+  for (const name of SCHEME_COLOR_NAMES) {
+    const refNode = getTextByPathList(clrScheme, ['a:' + name])
+    let color = getTextByPathList(refNode, ['a:srgbClr', 'attrs', 'val'])
+    if (!color) color = getTextByPathList(refNode, ['a:sysClr', 'attrs', 'lastClr'])
+    if (color) colors[name] = '#' + color
+  }
+
+  return colors
+}
+
+function getFontCollection(fontNode) {
+  const scripts = {}
+  for (const node of toArray(getTextByPathList(fontNode, ['a:font']))) {
+    const script = getTextByPathList(node, ['attrs', 'script'])
+    if (script) scripts[script] = getTextByPathList(node, ['attrs', 'typeface']) || ''
+  }
+
+  return {
+    latin: getTextByPathList(fontNode, ['a:latin', 'attrs', 'typeface']) || '',
+    ea: getTextByPathList(fontNode, ['a:ea', 'attrs', 'typeface']) || '',
+    cs: getTextByPathList(fontNode, ['a:cs', 'attrs', 'typeface']) || '',
+    scripts,
+  }
+}
+
+export function getThemeFonts(themeContent) {
+  const fontScheme = getTextByPathList(themeContent, ['a:theme', 'a:themeElements', 'a:fontScheme'])
+
+  return {
+    name: getTextByPathList(fontScheme, ['attrs', 'name']) || '',
+    major: getFontCollection(getTextByPathList(fontScheme, ['a:majorFont'])),
+    minor: getFontCollection(getTextByPathList(fontScheme, ['a:minorFont'])),
+  }
+}
+
+function getColor(node) {
+  for (const key of COLOR_KEYS) {
+    const clrNode = node[key]
+    if (!clrNode) continue
+
+    const attrs = clrNode['attrs'] || {}
+    let value
+    switch (key) {
+      case 'a:srgbClr':
+        value = '#' + attrs['val']
+        break
+      case 'a:sysClr':
+        value = '#' + (attrs['lastClr'] || (attrs['val'] === 'window' ? 'FFFFFF' : '000000'))
+        break
+      default:
+        value = attrs['val'] || ''
+    }
+
+    const color = { value }
+    const transforms = {}
+    for (const { key: transformKey, node: transformNode } of getOrderedChildNodes(clrNode)) {
+      const name = transformKey.replace('a:', '')
+      const val = getTextByPathList(transformNode, ['attrs', 'val'])
+      if (val === undefined) transforms[name] = true
+      else transforms[name] = parseInt(val) / (HUE_TRANSFORMS.includes(name) ? 60000 : 100000)
+    }
+    if (Object.keys(transforms).length) color.transforms = transforms
+
+    return color
+  }
+  return undefined
+}
+
+function getFill(key, node) {
+  switch (key) {
+    case 'a:noFill':
+      return { type: 'none' }
+    case 'a:solidFill':
+      return { type: 'solid', color: getColor(node) }
+    case 'a:gradFill': {
+      const fill = {
+        type: 'gradient',
+        stops: toArray(getTextByPathList(node, ['a:gsLst', 'a:gs'])).map(gsNode => ({
+          position: parseInt(getTextByPathList(gsNode, ['attrs', 'pos'])) / 1000,
+          color: getColor(gsNode),
+        })),
+      }
+      const linAttrs = getTextByPathList(node, ['a:lin', 'attrs'])
+      if (linAttrs) fill.angle = angleToDegrees(linAttrs['ang'])
+      const path = getTextByPathList(node, ['a:path', 'attrs', 'path'])
+      if (path) fill.path = path
+      return fill
+    }
+    case 'a:pattFill':
+      return {
+        type: 'pattern',
+        preset: getTextByPathList(node, ['attrs', 'prst']),
+        foreground: getColor(node['a:fgClr'] || {}),
+        background: getColor(node['a:bgClr'] || {}),
+      }
+    case 'a:blipFill':
+      return { type: 'image' }
+    case 'a:grpFill':
+      return { type: 'group' }
+    default:
+      return undefined
+  }
+}
+
+function getFillList(listNode) {
+  const fills = []
+  for (const { key, node } of getOrderedChildNodes(listNode)) {
+    const fill = getFill(key, node)
+    if (fill) fills.push(fill)
+  }
+  return fills
+}
+
+function getLine(lnNode) {
+  const attrs = lnNode['attrs'] || {}
+  let fill
+  for (const { key, node } of getOrderedChildNodes(lnNode)) {
+    fill = getFill(key, node)
+    if (fill) break
+  }
+
+  const line = {
+    width: parseInt(attrs['w'] || 0) * RATIO_EMUs_Points,
+    fill,
+  }
+  if (attrs['cap']) line.cap = attrs['cap']
+  if (attrs['cmpd']) line.compound = attrs['cmpd']
+
+  const dash = getTextByPathList(lnNode, ['a:prstDash', 'attrs', 'val'])
+  if (dash) line.dash = dash
+
+  if (lnNode['a:round']) line.join = 'round'
+  else if (lnNode['a:bevel']) line.join = 'bevel'
+  else if (lnNode['a:miter']) line.join = 'miter'
+
+  return line
+}
+
+function getEffect(key, node) {
+  const attrs = node['attrs'] || {}
+  const effect = { type: key.replace('a:', '') }
+
+  for (const name in attrs) {
+    if (name === 'order') continue
+
+    const value = attrs[name]
+    if (name === 'blurRad' || name === 'dist' || name === 'rad' || name === 'stA' || name === 'endA') {
+      effect[name] = parseInt(value) * (name === 'stA' || name === 'endA' ? 1 / 1000 : RATIO_EMUs_Points)
+    }
+    else if (name === 'dir' || name === 'fadeDir') effect[name] = angleToDegrees(value)
+    else effect[name] = value
+  }
+
+  const color = getColor(node)
+  if (color) effect.color = color
+
+  return effect
+}
+
+function getEffectList(effectStyleNode) {
+  const effects = []
+  for (const { key, node } of getOrderedChildNodes(getTextByPathList(effectStyleNode, ['a:effectLst']))) {
+    effects.push(getEffect(key, node))
+  }
+  return effects
+}
+
+export function getThemeFormats(themeContent) {
+  const fmtScheme = getTextByPathList(themeContent, ['a:theme', 'a:themeElements', 'a:fmtScheme'])
+
+  return {
+    name: getTextByPathList(fmtScheme, ['attrs', 'name']) || '',
+    fills: getFillList(getTextByPathList(fmtScheme, ['a:fillStyleLst'])),
+    lines: toArray(getTextByPathList(fmtScheme, ['a:lnStyleLst', 'a:ln'])).map(getLine),
+    effects: toArray(getTextByPathList(fmtScheme, ['a:effectStyleLst', 'a:effectStyle'])).map(getEffectList),
+    backgroundFills: getFillList(getTextByPathList(fmtScheme, ['a:bgFillStyleLst'])),
+  }
+}
+
+export function getThemeInfo(themeContent) {
+  return {
+    name: getTextByPathList(themeContent, ['a:theme', 'attrs', 'name']) || '',
+    colors: getThemeColors(themeContent),
+    fonts: getThemeFonts(themeContent),
+    formats: getThemeFormats(themeContent),
+  }
+}
@@ -0,0 +1,72 @@
+import { getMediaSrc } from './media'
+import { extractFileExtension, getAlternateContentNode, getMimeType, getTextByPathList } from './utils'
+
+const SPEED_DURATION = {
+  fast: 500,
+  med: 750,
+  slow: 1000,
+}
+
+async function getTransitionSound(sndAcNode, warpObj) {
+  const stSndNode = getTextByPathList(sndAcNode, ['p:stSnd'])
+  if (!stSndNode) return undefined
+
+  const rId = getTextByPathList(stSndNode, ['p:snd', 'attrs', 'r:embed'])
+  const soundPath = getTextByPathList(warpObj, ['slideResObj', rId, 'target'])
+
+  return {
+    name: getTextByPathList(stSndNode, ['p:snd', 'attrs', 'name']) || '',
+    loop: getTextByPathList(stSndNode, ['attrs', 'loop']) === '1',
+    src: soundPath ? await getMediaSrc(soundPath, getMimeType(extractFileExtension(soundPath)), 'blob', warpObj) : undefined,
+  }
+}
+
+export async function getTransition(warpObj) {
+  const transitionNode = getAlternateContentNode(getTextByPathList(warpObj['slideContent'], ['p:sld']), 'p:transition')
+  if (!transitionNode) return null
+
+  const attrs = transitionNode['attrs'] || {}
+
+  let type = 'none'
+  let effectAttrs = {}
+  for (const key in transitionNode) {
+    if (key === 'attrs' || key === 'p:sndAc' || key === 'p:extLst') continue
+    type = key.split(':').pop()
+    effectAttrs = transitionNode[key]['attrs'] || {}
+    break
+  }
+
+  const speed = attrs['spd'] || 'fast'
+  const transition = {
+    type,
+    speed: speed === 'med' ? 'medium' : speed,
+    duration: attrs['p14:dur'] ? parseInt(attrs['p14:dur']) : SPEED_DURATION[speed],
+    advanceOnClick: attrs['advClick'] !== '0',
+  }
+  if (attrs['advTm'] !== undefined) transition.advanceAfter = parseInt(attrs['advTm'])
+
+  const options = {}
+  for (const key in effectAttrs) {
+    if (key === 'order') continue
+    switch (key) {
+      case 'dir':
+        transition.direction = effectAttrs[key]
+        break
+      case 'orient':
+        transition.orientation = effectAttrs[key]
+        break
+      default:
+        options[key] = effectAttrs[key]
+    }
+  }
+  if (Object.keys(options).length) transition.options = options
+
+  const sndAcNode = transitionNode['p:sndAc']
+  if (sndAcNode) {
+    const sound = await getTransitionSound(sndAcNode, warpObj)
+    if (sound) transition.sound = sound
+    if (sndAcNode['p:endSnd'] !== undefined) transition.stopSound = true
+  }
+
+  return transition
+}
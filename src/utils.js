@@ -1,3 +1,5 @@
+import { getChildNodes } from './readXmlFile'
+
 export function base64ArrayBuffer(arrayBuffer) {
   const encodings = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
   const bytes = new Uint8Array(arrayBuffer)
@@ -66,6 +68,48 @@ export function getTextByPathList(node, path) {
   return node
 }
 
+export function toArray(node) {
+  if (!node) return []
+  return node.constructor === Array ? node : [node]
+}
+
+export function removeUndefinedKeys(obj) {
+  for (const key in obj) {
+    if (obj[key] === undefined) delete obj[key]
+  }
+  return obj
+}
+
+export function getAlternateContentNode(parentNode, key) {
+  if (!parentNode) return undefined
+  if (parentNode[key]) return parentNode[key]
+
+  for (const alternateContentNode of toArray(parentNode['mc:AlternateContent'])) {
+    for (const choiceNode of toArray(alternateContentNode['mc:Choice'])) {
+      if (choiceNode[key]) return choiceNode[key]
+    }
+    const fallbackNode = getTextByPathList(alternateContentNode, ['mc:Fallback', key])
+    if (fallbackNode) return fallbackNode
+  }
+  return undefined
+}
+
+export function getOrderedChildNodes(node) {
+  if (!node || typeof node !== 'object') return []
+
+  const childNodes = getChildNodes(node)
+  if (childNodes) return childNodes
+
+  const result = []
+  for (const key in node) {
+    if (key === 'attrs') continue
+
+    const children = node[key].constructor === Array ? node[key] : [node[key]]
+    for (const child of children) result.push({ key, node: child })
+  }
+  return result
+}
+
 export function angleToDegrees(angle) {
   if (!angle) return 0
   return Math.round(angle / 60000)
@@ -82,6 +126,21 @@ export function escapeHtml(text) {
   return text.replace(/[&<>"']/g, m => map[m])
 }
 
+export function decodeXmlEntities(text) {
+  const map = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+  }
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos);/gi, (m, entity) => {
+    if (entity[0] !== '#') return map[entity.toLowerCase()]
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1))
+    return String.fromCodePoint(code)
+  })
+}
+
 export function getMimeType(imgFileExt) {
   let mimeType = ''
   switch (imgFileExt.toLowerCase()) {